@@ -10,6 +10,22 @@ class Camera {
         engine.cameraOffset = new THREE.Vector3(0, 1.5, 3);
         engine.cameraLookOffset = new THREE.Vector3(0, 0.5, 0);
         engine.cameraIdealPosition = new THREE.Vector3();
+        engine.fadedObjects = []; // Objects faded out for blocking the view, see Camera.fadeOccluder
+    }
+
+    // Snap the camera behind the player (e.g. after a teleport)
+    static reset(engine) {
+        engine.mouseControls.cameraRotation.y = engine.player.rotation.y + Math.PI;
+        engine.lastPlayerPos = null;
+
+        const rotation = engine.mouseControls.cameraRotation;
+        const distance = engine.mouseControls.orbitDistance;
+        engine.camera.position.set(
+            Math.sin(rotation.y) * Math.cos(rotation.x) * distance,
+            Math.sin(rotation.x) * distance + engine.cameraOffset.y,
+            Math.cos(rotation.y) * Math.cos(rotation.x) * distance
+        ).add(engine.player.position);
+        engine.camera.lookAt(engine.player.position.clone().add(engine.cameraLookOffset));
     }
 
     // Update camera position and orientation
@@ -72,6 +88,10 @@ class Camera {
             }
         } else {
             // Standard third-person camera
+            // Orbit with the camera actions
+            const orbit = (Input.isDown(engine, 'cameraLeft') ? 1 : 0) - (Input.isDown(engine, 'cameraRight') ? 1 : 0);
+            engine.mouseControls.cameraRotation.y += orbit * Camera.orbitSpeed * deltaTime;
+
             // Calculate camera position based on orbit distance and rotation
             const cameraPos = new THREE.Vector3();
 
@@ -142,39 +162,56 @@ class Camera {
                 engine.camera.position.lerp(adjustedPosition, 10 * deltaTime);
 
                 // Fade out objects between camera and player for visibility
-                const hit = collision.object;
-                if (hit.material && !hit.userData.wasTransparent) {
-                    hit.userData.originalOpacity = hit.material.opacity || 1;
-                    hit.userData.wasTransparent = hit.material.transparent;
-                    hit.material.transparent = true;
-                    hit.material.opacity = 0.3;
-
-                    // Restore original values when camera moves away
-                    setTimeout(() => {
-                        if (hit.material) {
-                            hit.material.opacity = hit.userData.originalOpacity;
-                            hit.material.transparent = hit.userData.wasTransparent;
-                        }
-                    }, 1000);
-                }
+                Camera.fadeOccluder(engine, collision.object);
             }
         }
 
-        // Apply subtle camera shake on landing from jump
-        if (engine.player.onGround && engine.player.velocity && engine.player.velocity.y < -5) {
-            const shakeAmount = Math.min(Math.abs(engine.player.velocity.y) * 0.01, 0.05);
-
-            const applyShake = () => {
-                engine.camera.position.y += (Math.random() - 0.5) * shakeAmount;
-                shakeAmount *= 0.9; // Decay the shake
+        // Bring back objects that have stopped blocking the view
+        Camera.restoreOccluders(engine, deltaTime);
+    }
 
-                if (shakeAmount > 0.001) {
-                    requestAnimationFrame(applyShake);
-                }
-            };
+    // See through an object between the camera and the player, for as long as it stays there
+    static fadeOccluder(engine, object) {
+        if (!object.material) return;
 
-            requestAnimationFrame(applyShake);
+        if (!engine.fadedObjects.includes(object)) {
+            object.userData.originalOpacity = object.material.opacity;
+            object.userData.wasTransparent = object.material.transparent;
+            object.material.transparent = true;
+            object.material.opacity = Camera.fadedOpacity;
+            engine.fadedObjects.push(object);
         }
+
+        object.userData.fadeTimer = Camera.fadeRestoreDelay;
+    }
+
+    // Restore faded objects once they've been out of the way for a moment
+    // Runs on render time so it carries on while the game is frozen
+    static restoreOccluders(engine, deltaTime) {
+        engine.fadedObjects = engine.fadedObjects.filter(object => {
+            object.userData.fadeTimer -= deltaTime;
+            if (object.userData.fadeTimer > 0) return true;
+
+            object.material.opacity = object.userData.originalOpacity;
+            object.material.transparent = object.userData.wasTransparent;
+            return false;
+        });
+    }
+
+    // Shake the camera a little when the player lands, harder the faster they came down
+    static landingShake(engine, impactSpeed) {
+        if (impactSpeed <= Camera.landingShakeSpeed) return;
+
+        const shakeAmount = Math.min(impactSpeed * 0.01, 0.05);
+
+        // Decaying shake
+        Tween.start(engine, {
+            duration: 0.6,
+            ease: 'easeOutQuad',
+            onUpdate: (progress) => {
+                engine.camera.position.y += (Math.random() - 0.5) * shakeAmount * (1 - progress);
+            }
+        });
     }
 
     // Update target reticle position
@@ -185,8 +222,9 @@ class Camera {
         const widthHalf = engine.width / 2;
         const heightHalf = engine.height / 2;
 
-        engine.currentTarget.updateMatrixWorld();
-        vector.setFromMatrixPosition(engine.currentTarget.matrixWorld);
+        const target = engine.currentTarget.transform.object;
+        target.updateMatrixWorld();
+        vector.setFromMatrixPosition(target.matrixWorld);
         vector.project(engine.camera);
 
         vector.x = (vector.x * widthHalf) + widthHalf;
@@ -252,5 +290,15 @@ class Camera {
     }
 }
 
+// Speed of the camera orbit actions, in radians per second
+Camera.orbitSpeed = 2;
+
+// Opacity of objects blocking the view, and seconds they stay faded after they stop blocking it
+Camera.fadedOpacity = 0.3;
+Camera.fadeRestoreDelay = 1;
+
+// Landing speed above which the camera shakes
+Camera.landingShakeSpeed = 5;
+
 // Export the Camera class
 window.Camera = Camera;
\ No newline at end of file
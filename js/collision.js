@@ -0,0 +1,421 @@
+/**
+ * Collision module for the Zelda-like 3D Game Engine
+ * Contains collision shapes, the spatial hash broadphase and contact resolution
+ *
+ * Shapes are vertical prisms: a footprint on the XZ plane (circle, axis-aligned box,
+ * oriented box or capsule) extruded between bottom and bottom + height above the
+ * entity's position. Static colliders live in a spatial hash; dynamic ones (player,
+ * enemies) are few and are always tested directly.
+ */
+
+class Collision {
+    // Setup the broadphase
+    static setup(engine) {
+        engine.collisionGrid = new Map(); // "cellX,cellZ" -> Set of static entities
+        engine.dynamicColliders = [];
+    }
+
+    // Vertical cylinder
+    static circle(radius, height, bottom = 0) {
+        return { type: 'circle', radius, height, bottom };
+    }
+
+    // Box aligned with the world axes; size is the full width, height and depth
+    static aabb(size, bottom = -size.y / 2) {
+        return { type: 'aabb', halfX: size.x / 2, halfZ: size.z / 2, height: size.y, bottom };
+    }
+
+    // Box that turns with the entity's rotation around Y
+    static obb(size, bottom = -size.y / 2) {
+        return { type: 'obb', halfX: size.x / 2, halfZ: size.z / 2, height: size.y, bottom };
+    }
+
+    // Upright capsule; the ends are rounded so it rides over low edges
+    static capsule(radius, height, bottom = 0) {
+        return { type: 'capsule', radius, height, bottom };
+    }
+
+    // Add an entity's collider to the broadphase
+    static add(engine, entity) {
+        const collider = entity.collider;
+
+        if (collider.dynamic) {
+            engine.dynamicColliders.push(entity);
+            return;
+        }
+
+        collider.cells = Collision.cellsFor(Collision.bounds(collider.shape, entity.position, entity.transform.object.rotation.y));
+        collider.cells.forEach(key => {
+            if (!engine.collisionGrid.has(key)) {
+                engine.collisionGrid.set(key, new Set());
+            }
+            engine.collisionGrid.get(key).add(entity);
+        });
+    }
+
+    // Remove an entity's collider from the broadphase
+    static remove(engine, entity) {
+        const collider = entity.collider;
+
+        if (collider.dynamic) {
+            const index = engine.dynamicColliders.indexOf(entity);
+            if (index > -1) {
+                engine.dynamicColliders.splice(index, 1);
+            }
+            return;
+        }
+
+        (collider.cells || []).forEach(key => {
+            const cell = engine.collisionGrid.get(key);
+            if (!cell) return;
+            cell.delete(entity);
+            if (cell.size === 0) engine.collisionGrid.delete(key);
+        });
+        collider.cells = null;
+    }
+
+    // Re-insert a static collider after its entity was moved
+    static refresh(engine, entity) {
+        Collision.remove(engine, entity);
+        Collision.add(engine, entity);
+    }
+
+    // All contacts of a shape placed at position
+    // options:
+    //   rotation - rotation of the shape around Y (for oriented boxes)
+    //   layer    - layer bits of the querying shape
+    //   mask     - layers the shape collides with
+    //   ignore   - entity to skip (usually the one asking)
+    // Each contact is { entity, normal, depth }: moving by normal * depth separates the shapes
+    static overlaps(engine, shape, position, options = {}) {
+        const rotation = options.rotation || 0;
+        const layer = options.layer !== undefined ? options.layer : Collision.layers.all;
+        const mask = options.mask !== undefined ? options.mask : Collision.layers.all;
+
+        const contacts = [];
+        Collision.candidates(engine, Collision.bounds(shape, position, rotation)).forEach(entity => {
+            if (entity === options.ignore) return;
+
+            const collider = entity.collider;
+            if (!(mask & collider.layer) || !(layer & collider.mask)) return;
+
+            const contact = Collision.intersect(
+                shape, position, rotation,
+                collider.shape, entity.position, entity.transform.object.rotation.y
+            );
+            if (contact) {
+                contact.entity = entity;
+                contacts.push(contact);
+            }
+        });
+
+        return contacts;
+    }
+
+    // First solid thing along a ray: the nearest mesh of an entity whose collider is on the
+    // mask's layers, or the ground. direction must be normalized.
+    // options: mask, ignore - as for overlaps
+    // Returns { entity, point, distance } (entity is null for the ground), or null if nothing is in reach
+    static raycast(engine, origin, direction, distance, options = {}) {
+        const mask = options.mask !== undefined ? options.mask : Collision.layers.all;
+        const raycaster = new THREE.Raycaster(origin, direction, 0, distance);
+
+        // Meshes are tested where they're drawn, so bring anything moved this step up to date
+        engine.levelRoot.updateMatrixWorld();
+
+        for (const intersection of raycaster.intersectObject(engine.levelRoot, true)) {
+            const { point } = intersection;
+
+            if (intersection.object === engine.terrain.mesh) {
+                return { entity: null, point, distance: intersection.distance };
+            }
+
+            // Scenery without a collider (grass, paths, pickups, ...) doesn't stop the ray
+            const entity = Collision.entityOf(intersection.object);
+            if (entity && entity !== options.ignore && (mask & entity.collider.layer)) {
+                return { entity, point, distance: intersection.distance };
+            }
+        }
+
+        return null;
+    }
+
+    // Nearest entity with a collider that a scene object belongs to, or null
+    static entityOf(object) {
+        for (let current = object; current; current = current.parent) {
+            const entity = current.userData.entity;
+            if (entity && entity.collider) return entity;
+        }
+        return null;
+    }
+
+    // Move an entity by displacement, sliding along whatever it runs into
+    // Returns the contacts that were resolved
+    static move(engine, entity, displacement) {
+        const collider = entity.collider;
+        const position = entity.position;
+        const resolved = [];
+
+        position.add(displacement);
+
+        // Push out of the deepest contact until free; pushing along the normal removes
+        // only the blocked part of the movement, which is what makes it slide
+        for (let i = 0; i < Collision.maxIterations; i++) {
+            const contacts = Collision.overlaps(engine, collider.shape, position, {
+                rotation: entity.transform.object.rotation.y,
+                layer: collider.layer,
+                mask: collider.mask,
+                ignore: entity
+            });
+            if (contacts.length === 0) break;
+
+            const deepest = contacts.reduce((a, b) => (b.depth > a.depth ? b : a));
+            position.addScaledVector(deepest.normal, deepest.depth + Collision.skin);
+            resolved.push(deepest);
+        }
+
+        if (!collider.dynamic) {
+            Collision.refresh(engine, entity);
+        }
+
+        return resolved;
+    }
+
+    // Entities that may touch the given bounds
+    static candidates(engine, bounds) {
+        const found = new Set(engine.dynamicColliders);
+
+        Collision.cellsFor(bounds).forEach(key => {
+            const cell = engine.collisionGrid.get(key);
+            if (cell) cell.forEach(entity => found.add(entity));
+        });
+
+        return found;
+    }
+
+    // Keys of the grid cells covering bounds
+    static cellsFor(bounds) {
+        const size = Collision.cellSize;
+        const minX = Math.floor(bounds.minX / size);
+        const maxX = Math.floor(bounds.maxX / size);
+        const minZ = Math.floor(bounds.minZ / size);
+        const maxZ = Math.floor(bounds.maxZ / size);
+
+        const keys = [];
+        for (let x = minX; x <= maxX; x++) {
+            for (let z = minZ; z <= maxZ; z++) {
+                keys.push(`${x},${z}`);
+            }
+        }
+        return keys;
+    }
+
+    // Footprint of a shape on the XZ plane
+    static bounds(shape, position, rotation = 0) {
+        let extentX;
+        let extentZ;
+
+        switch (shape.type) {
+            case 'circle':
+            case 'capsule':
+                extentX = extentZ = shape.radius;
+                break;
+            case 'aabb':
+                extentX = shape.halfX;
+                extentZ = shape.halfZ;
+                break;
+            case 'obb': {
+                const cos = Math.abs(Math.cos(rotation));
+                const sin = Math.abs(Math.sin(rotation));
+                extentX = shape.halfX * cos + shape.halfZ * sin;
+                extentZ = shape.halfX * sin + shape.halfZ * cos;
+                break;
+            }
+        }
+
+        return {
+            minX: position.x - extentX,
+            maxX: position.x + extentX,
+            minZ: position.z - extentZ,
+            maxZ: position.z + extentZ
+        };
+    }
+
+    // Narrowphase test between two placed shapes
+    // Returns { normal, depth } pushing shape a out of shape b, or null
+    static intersect(a, positionA, rotationA, b, positionB, rotationB) {
+        const bottomA = positionA.y + a.bottom;
+        const bottomB = positionB.y + b.bottom;
+        const overlapBottom = Math.max(bottomA, bottomB);
+        const overlapTop = Math.min(bottomA + a.height, bottomB + b.height);
+        if (overlapTop <= overlapBottom) return null;
+
+        const roundA = Collision.isRound(a);
+        const roundB = Collision.isRound(b);
+
+        if (roundA && roundB) {
+            return Collision.roundRound(
+                Collision.radiusWithin(a, bottomA, overlapBottom, overlapTop), positionA,
+                Collision.radiusWithin(b, bottomB, overlapBottom, overlapTop), positionB
+            );
+        }
+        if (roundA) {
+            return Collision.roundBox(
+                Collision.radiusWithin(a, bottomA, overlapBottom, overlapTop), positionA,
+                b, positionB, Collision.boxRotation(b, rotationB)
+            );
+        }
+        if (roundB) {
+            const contact = Collision.roundBox(
+                Collision.radiusWithin(b, bottomB, overlapBottom, overlapTop), positionB,
+                a, positionA, Collision.boxRotation(a, rotationA)
+            );
+            if (contact) contact.normal.negate();
+            return contact;
+        }
+        return Collision.boxBox(
+            a, positionA, Collision.boxRotation(a, rotationA),
+            b, positionB, Collision.boxRotation(b, rotationB)
+        );
+    }
+
+    static isRound(shape) {
+        return shape.type === 'circle' || shape.type === 'capsule';
+    }
+
+    // Axis-aligned boxes ignore the entity's rotation
+    static boxRotation(shape, rotation) {
+        return shape.type === 'obb' ? rotation : 0;
+    }
+
+    // Horizontal radius of a round shape over the vertical overlap
+    // Capsules narrow towards their ends, so a low obstacle only meets the rounded bottom
+    static radiusWithin(shape, bottom, overlapBottom, overlapTop) {
+        if (shape.type !== 'capsule') return shape.radius;
+
+        const radius = Math.min(shape.radius, shape.height / 2);
+        const coreBottom = bottom + radius;
+        const coreTop = bottom + shape.height - radius;
+
+        let gap = 0;
+        if (overlapTop < coreBottom) gap = coreBottom - overlapTop;
+        else if (overlapBottom > coreTop) gap = overlapBottom - coreTop;
+
+        return Math.sqrt(Math.max(radius * radius - gap * gap, 0));
+    }
+
+    // Circle against circle on the XZ plane
+    static roundRound(radiusA, positionA, radiusB, positionB) {
+        const dx = positionA.x - positionB.x;
+        const dz = positionA.z - positionB.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const depth = radiusA + radiusB - distance;
+        if (depth <= 0) return null;
+
+        // Concentric shapes get pushed out along an arbitrary axis
+        const normal = distance > 1e-6
+            ? new THREE.Vector3(dx / distance, 0, dz / distance)
+            : new THREE.Vector3(1, 0, 0);
+
+        return { normal, depth };
+    }
+
+    // Circle against a (possibly rotated) box on the XZ plane
+    static roundBox(radius, circlePosition, box, boxPosition, rotation) {
+        // Work in the box's local frame
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const dx = circlePosition.x - boxPosition.x;
+        const dz = circlePosition.z - boxPosition.z;
+        const localX = dx * cos - dz * sin;
+        const localZ = dx * sin + dz * cos;
+
+        let normalX;
+        let normalZ;
+        let depth;
+
+        if (Math.abs(localX) <= box.halfX && Math.abs(localZ) <= box.halfZ) {
+            // Centre inside the box - leave through the nearest face
+            const faceX = box.halfX - Math.abs(localX);
+            const faceZ = box.halfZ - Math.abs(localZ);
+            if (faceX < faceZ) {
+                normalX = Math.sign(localX) || 1;
+                normalZ = 0;
+                depth = faceX + radius;
+            } else {
+                normalX = 0;
+                normalZ = Math.sign(localZ) || 1;
+                depth = faceZ + radius;
+            }
+        } else {
+            const closestX = Math.max(-box.halfX, Math.min(localX, box.halfX));
+            const closestZ = Math.max(-box.halfZ, Math.min(localZ, box.halfZ));
+            const offsetX = localX - closestX;
+            const offsetZ = localZ - closestZ;
+            const distance = Math.sqrt(offsetX * offsetX + offsetZ * offsetZ);
+            if (distance >= radius) return null;
+
+            normalX = offsetX / distance;
+            normalZ = offsetZ / distance;
+            depth = radius - distance;
+        }
+
+        // Back to world space
+        return {
+            normal: new THREE.Vector3(normalX * cos + normalZ * sin, 0, -normalX * sin + normalZ * cos),
+            depth
+        };
+    }
+
+    // Box against box on the XZ plane (separating axis test)
+    static boxBox(a, positionA, rotationA, b, positionB, rotationB) {
+        const axesOf = rotation => [
+            [Math.cos(rotation), -Math.sin(rotation)],
+            [Math.sin(rotation), Math.cos(rotation)]
+        ];
+        const axesA = axesOf(rotationA);
+        const axesB = axesOf(rotationB);
+        const dx = positionA.x - positionB.x;
+        const dz = positionA.z - positionB.z;
+
+        // Half of a box's extent projected onto an axis
+        const project = (box, axes, [x, z]) =>
+            box.halfX * Math.abs(axes[0][0] * x + axes[0][1] * z) +
+            box.halfZ * Math.abs(axes[1][0] * x + axes[1][1] * z);
+
+        let best = null;
+        for (const axis of axesA.concat(axesB)) {
+            const distance = axis[0] * dx + axis[1] * dz;
+            const depth = project(a, axesA, axis) + project(b, axesB, axis) - Math.abs(distance);
+            if (depth <= 0) return null;
+
+            if (!best || depth < best.depth) {
+                const sign = distance < 0 ? -1 : 1;
+                best = { normal: new THREE.Vector3(axis[0] * sign, 0, axis[1] * sign), depth };
+            }
+        }
+
+        return best;
+    }
+}
+
+// Collision layer bits; a collider's mask lists the layers it collides with
+Collision.layers = {
+    world: 1,
+    player: 2,
+    enemy: 4,
+    hookable: 8, // Solid things the hookshot latches onto (wood)
+    all: 0xffff
+};
+
+// Size of a broadphase grid cell in world units
+Collision.cellSize = 4;
+
+// Passes of contact resolution per move
+Collision.maxIterations = 4;
+
+// Extra separation left after resolving a contact so shapes don't stay touching
+Collision.skin = 0.001;
+
+// Export the Collision class
+window.Collision = Collision;
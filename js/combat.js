@@ -0,0 +1,127 @@
+/**
+ * Combat module for the Zelda-like 3D Game Engine
+ * Contains the shared damage and knockback path for every attack
+ *
+ * Sword swings, enemy bites and projectiles all describe a hit the same way:
+ * { damage, from, knockback, attacker, unblockable } where from is where the hit came from (for
+ * shields and knockback direction), knockback is how far the target is pushed and attacker is
+ * the entity responsible, if any. Unblockable hits (explosions) get past every shield. Damage
+ * to the player is in quarter hearts; enemies count it in hits.
+ *
+ * Knockback isn't applied all at once: it sets a velocity that carries the target away
+ * through collision over the next moments, dying down as it goes. Landing a hit briefly
+ * freezes the game (hit-stop) and leaves the target invincible for a short while.
+ */
+
+class Combat {
+    // Hit an enemy; returns true if the hit landed
+    static hitEnemy(engine, enemy, hit) {
+        // Enemies already on their way out, or still reeling from the last hit, can't be hit again
+        if (enemy.health.dead || engine.simTime < enemy.ai.invincibleUntil) return false;
+
+        // Shielded enemies turn the blow aside unless hit from behind
+        if (!hit.unblockable && Enemy.blocksAttack(enemy, hit.from)) {
+            console.log("Attack blocked!");
+            Player.createHitEffect(engine, enemy.position);
+            return false;
+        }
+
+        console.log("Hit enemy!", enemy);
+
+        // Make sure health can't go below 0 - the health system handles defeat
+        enemy.health.current = Math.max(0, enemy.health.current - hit.damage);
+        enemy.ai.invincibleUntil = engine.simTime + enemy.ai.invincibilityTime;
+
+        // Enemy knockback - keep it on the horizontal plane to avoid falling through the ground
+        const knockbackDirection = Combat.knockback(
+            enemy.ai.knockback, hit.from, enemy.position, (hit.knockback || 0) * enemy.ai.knockbackScale
+        );
+        Combat.hitStop(engine, Combat.enemyHitStop);
+
+        // Visual feedback for hit at the actual hit location
+        const hitLocation = enemy.position.clone().sub(knockbackDirection.multiplyScalar(0.3));
+        Player.createHitEffect(engine, hitLocation);
+
+        // Flash enemy red - find the body which has the material
+        const body = enemy.renderable.parts.body;
+        if (body && body.material) {
+            const originalColor = body.material.color.clone();
+            body.material.color.set(0xFF0000);
+            Tween.delay(engine, 0.2, () => {
+                body.material.color.copy(originalColor);
+            }, enemy.transform.object);
+        }
+
+        Enemy.onHit(engine, enemy, hit.from);
+
+        return true;
+    }
+
+    // Set a knockback velocity that carries position away from a hit's origin by about distance
+    // Returns the direction of the knockback
+    static knockback(velocity, from, position, distance) {
+        const direction = new THREE.Vector3().subVectors(position, from).setY(0).normalize();
+        velocity.copy(direction).multiplyScalar(distance * Combat.knockbackDamping);
+        return direction;
+    }
+
+    // Move an entity by its knockback velocity, through collision, and let the velocity die down
+    // Returns whether the entity is still being knocked back
+    static updateKnockback(engine, entity, velocity, deltaTime, limitSlope = true) {
+        if (velocity.length() < Combat.knockbackRestSpeed) {
+            velocity.set(0, 0, 0);
+            return false;
+        }
+
+        const displacement = velocity.clone().multiplyScalar(deltaTime);
+        if (limitSlope) {
+            Terrain.limitSlope(engine, entity.position, displacement);
+        }
+        Collision.move(engine, entity, displacement);
+
+        velocity.multiplyScalar(Math.exp(-Combat.knockbackDamping * deltaTime));
+        return true;
+    }
+
+    // Freeze the game for a moment so a hit reads clearly
+    static hitStop(engine, duration) {
+        engine.hitStop = Math.max(engine.hitStop, duration);
+    }
+
+    // Hit the player; the raised shield may parry, block or soften it
+    // Returns 'parried', 'blocked' or 'hit'
+    static hitPlayer(engine, hit) {
+        if (engine.playerState !== 'alive') return 'hit';
+
+        switch (hit.unblockable ? null : Player.guard(engine, hit.from)) {
+            case 'parry':
+                Player.parry(engine, hit);
+                return 'parried';
+            case 'block':
+                Player.shieldImpact(engine, hit.from);
+                return 'blocked';
+            case 'glance':
+                Player.shieldImpact(engine, hit.from);
+                // Health goes down in whole quarter hearts
+                Player.takeDamage(engine, Math.ceil(hit.damage * Player.glancingDamage), hit.from);
+                return 'blocked';
+            default:
+                Player.takeDamage(engine, hit.damage, hit.from);
+                return 'hit';
+        }
+    }
+}
+
+// How quickly knockback dies down, per second; a knockback travels its distance in
+// about 3 / knockbackDamping seconds
+Combat.knockbackDamping = 8;
+
+// Knockback slower than this (units per second) stops
+Combat.knockbackRestSpeed = 0.2;
+
+// Seconds the game freezes when the player hits an enemy, and when the player is hurt
+Combat.enemyHitStop = 0.05;
+Combat.playerHitStop = 0.1;
+
+// Export the Combat class
+window.Combat = Combat;
@@ -14,20 +14,26 @@ class Core {
 
         // Game state
         this.player = null;
-        this.playerHealth = 3;
-        this.maxHealth = 3;
-        this.enemies = [];
-        this.interactables = [];
-        this.collidables = []; // Array to track objects the player can collide with
+        this.playerEntity = null; // Entity holding the player's health and collider
+        this.playerState = 'alive'; // 'alive', 'dying' or 'dead'
+        this.checkpoint = null; // Where the player respawns: { level, spawn }
+        this.defeatedEnemies = new Set(); // Level object ids of enemies that stay dead
+        this.collectedHearts = new Set(); // Level object ids of hearts already picked up
+        this.collectedItems = new Set(); // Level object ids of item pickups already taken
         this.targetLocked = false;
         this.currentTarget = null;
+        this.menuOpen = false;
         this.reticle = document.getElementById('target-reticle');
+        this.crosshair = document.getElementById('aim-crosshair');
         
         // Debug mode - set to true to visualize collisions
         this.debugMode = true;
         this.debugObjects = [];
+        this.debugOverlay = document.getElementById('debug-overlay'); // Screen-space debug labels
 
         // Setup
+        ECS.setup(this);
+        Collision.setup(this);
         this.setupThree();
         this.setupControls();
         this.setupLighting();
@@ -42,6 +48,28 @@ class Core {
         window.addEventListener('resize', () => this.onWindowResize());
     }
 
+    // Player health lives in the player entity's health component
+    get playerHealth() {
+        return this.playerEntity.health.current;
+    }
+
+    set playerHealth(value) {
+        this.playerEntity.health.current = value;
+    }
+
+    get maxHealth() {
+        return this.playerEntity.health.max;
+    }
+
+    set maxHealth(value) {
+        this.playerEntity.health.max = value;
+    }
+
+    // All living enemy entities
+    get enemies() {
+        return this.entities.filter(entity => entity.tag === 'enemy');
+    }
+
     // Setup Three.js
     setupThree() {
         // Create scene
@@ -61,24 +89,31 @@ class Core {
 
         // Create clock for animations
         this.clock = new THREE.Clock();
+
+        // Fixed-step simulation timing
+        this.fixedTimeStep = 1 / 60; // Seconds per simulation step
+        this.maxFrameTime = 0.25; // Longest frame the simulation catches up on
+        this.accumulator = 0;
+        this.simTime = 0; // Seconds of simulated game time
+        this.hitStop = 0; // Seconds left of the freeze when a hit lands, see Combat.hitStop
+        this.paused = false;
+
+        // Pause while the tab is hidden and skip the time spent away
+        document.addEventListener('visibilitychange', () => {
+            this.paused = document.hidden;
+            if (!this.paused) {
+                this.clock.getDelta();
+            }
+        });
     }
 
     // Setup player controls
+    // Physical inputs go through the Input action map; see Input.defaultBindings
     setupControls() {
-        this.keys = {
-            forward: false,
-            backward: false,
-            left: false,
-            right: false,
-            jump: false,
-            interact: false,
-            targetLock: false,
-            reset: false
-        };
+        Input.setup(this);
 
         // Mouse control variables
         this.mouseControls = {
-            isActive: false,
             sensitivity: 0.002,
             lastX: 0,
             lastY: 0,
@@ -95,61 +130,62 @@ class Core {
             });
         };
 
+        // Actions that do something the moment they're pressed
+        Input.on(this, 'interact', () => this.checkInteraction());
+        Input.on(this, 'targetLock', () => this.toggleTargetLock());
+        Input.on(this, 'resetPosition', () => this.resetPlayerPosition()); // Emergency reset
+        Input.on(this, 'saveMenu', () => this.openSaveMenu());
+        Input.on(this, 'loadMenu', () => this.openLoadMenu());
+        Input.on(this, 'controlsMenu', () => this.openControlsMenu());
+        Input.on(this, 'inventoryMenu', () => this.openInventoryMenu());
+        Input.on(this, 'attack', () => {
+            // Clicking while rotating the camera doesn't attack
+            if (!Input.isDown(this, 'cameraOrbit')) {
+                this.playerAttack();
+            }
+        }, () => this.playerReleaseAttack());
+        Inventory.buttonActions.forEach((action, button) => {
+            Input.on(this, action, () => this.useItem(button), () => this.releaseItem(button));
+        });
+        Input.on(this, 'block', () => this.playerRaiseShield(), () => this.playerLowerShield());
+        Input.on(this, 'cameraOrbit',
+            () => { this.container.style.cursor = 'grabbing'; },
+            () => { this.container.style.cursor = 'default'; }
+        );
+        Input.on(this, 'toggleDebug', () => {
+            this.debugMode = !this.debugMode;
+            console.log("Debug mode:", this.debugMode);
+            this.toggleDebugVisuals();
+        });
+
         // Keyboard controls
         document.addEventListener('keydown', (e) => {
-            switch (e.key.toLowerCase()) {
-                case 'w': this.keys.forward = true; break;
-                case 's': this.keys.backward = true; break;
-                case 'a': this.keys.left = true; break;
-                case 'd': this.keys.right = true; break;
-                case ' ': this.keys.jump = true; break;
-                case 'e': this.keys.interact = true; this.checkInteraction(); break;
-                case 'f': this.toggleTargetLock(); break;
-                case 'r': this.resetPlayerPosition(); break;  // Add emergency reset
-                
-                // Add debug toggle
-                case '0': 
-                    this.debugMode = !this.debugMode; 
-                    console.log("Debug mode:", this.debugMode);
-                    this.toggleDebugVisuals();
-                    break;
-            }
+            Input.press(this, Input.keyName(e));
         });
 
         document.addEventListener('keyup', (e) => {
-            switch (e.key.toLowerCase()) {
-                case 'w': this.keys.forward = false; break;
-                case 's': this.keys.backward = false; break;
-                case 'a': this.keys.left = false; break;
-                case 'd': this.keys.right = false; break;
-                case ' ': this.keys.jump = false; break;
-                case 'e': this.keys.interact = false; break;
-            }
+            Input.release(this, Input.keyName(e));
         });
 
-        // Mouse controls for camera
+        // Mouse buttons
         this.container.addEventListener('mousedown', (e) => {
-            if (e.button === 0) { // Left click
-                if (!this.mouseControls.isActive) {
-                    this.playerAttack();
-                }
-            } else if (e.button === 2) { // Right click
-                this.mouseControls.isActive = true;
-                this.mouseControls.lastX = e.clientX;
-                this.mouseControls.lastY = e.clientY;
-                this.container.style.cursor = 'grabbing';
-            }
+            this.mouseControls.lastX = e.clientX;
+            this.mouseControls.lastY = e.clientY;
+            Input.press(this, `mouse:${e.button}`);
         });
 
         document.addEventListener('mouseup', (e) => {
-            if (e.button === 2) { // Right click
-                this.mouseControls.isActive = false;
-                this.container.style.cursor = 'default';
-            }
+            Input.release(this, `mouse:${e.button}`);
         });
 
+        // Keys held while the window loses focus never see their keyup
+        window.addEventListener('blur', () => {
+            Input.releaseAll(this);
+        });
+
+        // Mouse controls for camera
         document.addEventListener('mousemove', (e) => {
-            if (this.mouseControls.isActive && !this.targetLocked) {
+            if (Input.isDown(this, 'cameraOrbit') && !this.targetLocked) {
                 // Calculate mouse movement
                 const deltaX = e.clientX - this.mouseControls.lastX;
                 const deltaY = e.clientY - this.mouseControls.lastY;
@@ -291,61 +327,15 @@ class Core {
         return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
     }
 
-    // Check for collision with objects in the world
+    // Check whether the player would collide with the world at position
     checkCollision(position) {
-        // Immediately return false if we're checking a position too high in the air
-        // This allows the player to jump over obstacles
-        if (position.y > 3.0) {
-            return false;
-        }
-        
-        // Check collisions with all collidable objects
-        for (const collidable of this.collidables) {
-            // Skip if the collidable doesn't have required properties
-            if (!collidable.position && !collidable.object) {
-                continue;
-            }
-            
-            // Get the actual position either from the collidable's position or from its object
-            const collidablePosition = collidable.position || collidable.object.position;
-            
-            switch (collidable.type) {
-                case 'tree':
-                case 'sign':
-                case 'rock':
-                    // Radial collision detection for cylindrical objects
-                    const dx = position.x - collidablePosition.x;
-                    const dz = position.z - collidablePosition.z;
-                    const distance = Math.sqrt(dx * dx + dz * dz);
-                    
-                    // Reduced collision radius to allow player to move more freely
-                    const adjustedRadius = collidable.radius * 0.8;
-
-                    // Adjust collision distance based on player radius plus object radius
-                    if (distance < this.player.radius + adjustedRadius) {
-                        // Debug output
-                        console.log(`Collision with ${collidable.type} at distance ${distance.toFixed(2)}, required distance: ${(this.player.radius + adjustedRadius).toFixed(2)}`);
-                        return true; // Collision detected
-                    }
-                    break;
-
-                case 'house':
-                    // Box collision detection for house
-                    const minX = collidablePosition.x - collidable.size.x / 2 - this.player.radius;
-                    const maxX = collidablePosition.x + collidable.size.x / 2 + this.player.radius;
-                    const minZ = collidablePosition.z - collidable.size.z / 2 - this.player.radius;
-                    const maxZ = collidablePosition.z + collidable.size.z / 2 + this.player.radius;
-
-                    if (position.x > minX && position.x < maxX &&
-                        position.z > minZ && position.z < maxZ) {
-                        console.log(`Collision with house at position ${position.x}, ${position.z}`);
-                        return true; // Collision detected
-                    }
-                    break;
-            }
-        }
+        const collider = this.playerEntity.collider;
 
-        return false; // No collision
+        return Collision.overlaps(this, collider.shape, position, {
+            layer: collider.layer,
+            mask: collider.mask,
+            ignore: this.playerEntity
+        }).length > 0;
     }
 }
 
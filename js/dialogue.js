@@ -0,0 +1,242 @@
+/**
+ * Dialogue module for the Zelda-like 3D Game Engine
+ * Contains the in-game text box, dialogue scripts and the story flags they set
+ *
+ * A script is a string, an array of pages, or a graph of named nodes:
+ * { "start": "hello", "nodes": { "hello": { "speaker": "Old Man", "pages": [...],
+ *   "choices": [{ "text": "Yes", "next": "yes", "set": { "helped": true } }] } } }
+ * Nodes may set flags when they're reached, offer choices and name the next node. A next
+ * (or start) can also be a list of { "if": condition, "node": name } tried in order, the
+ * first whose condition holds wins. Conditions are flag names, "!flag" for a flag that
+ * isn't set, or arrays of those that must all hold. Choices with an "if" are hidden while
+ * it doesn't. Scripts built in code can also give a choice an onChoose(engine) callback,
+ * which runs when it's taken. The world freezes while a dialogue is open.
+ */
+
+class Dialogue {
+    // Setup dialogue state and find the text box
+    static setup(engine) {
+        engine.dialogue = null; // The open dialogue, see Dialogue.start
+        engine.flags = {}; // Story flags set by dialogue, kept in saves
+        const box = document.getElementById('dialogue-box');
+        engine.dialogueBox = {
+            root: box,
+            speaker: box.querySelector('.dialogue-speaker'),
+            text: box.querySelector('.dialogue-text'),
+            choices: box.querySelector('.dialogue-choices'),
+            prompt: box.querySelector('.dialogue-prompt')
+        };
+    }
+
+    // Open the text box with a script
+    // options: speaker shown for nodes that don't name one, onEnd(engine) runs when it closes
+    static start(engine, script, options = {}) {
+        if (engine.dialogue) return;
+
+        engine.dialogue = {
+            script: Dialogue.normalize(script),
+            speaker: options.speaker || null,
+            onEnd: options.onEnd || null,
+            node: null,
+            page: 0,
+            shown: 0, // Characters of the page revealed so far
+            choices: [], // Choices whose condition holds, shown after the last page
+            selected: 0
+        };
+        engine.dialogueBox.root.style.display = 'block';
+
+        Dialogue.enterNode(engine, Dialogue.resolve(engine, engine.dialogue.script.start));
+    }
+
+    // Turn the short script forms into a node graph
+    static normalize(script) {
+        if (typeof script === 'string') script = [script];
+        if (Array.isArray(script)) script = { pages: script };
+        if (!script.nodes) script = { start: 'start', nodes: { start: script } };
+        return script;
+    }
+
+    // Name of the node a next (or start) leads to, or null to end the dialogue
+    static resolve(engine, next) {
+        if (!Array.isArray(next)) return next || null;
+
+        const branch = next.find(entry => typeof entry === 'string' || Dialogue.check(engine, entry.if));
+        if (!branch) return null;
+        return typeof branch === 'string' ? branch : branch.node || null;
+    }
+
+    // Check a condition against the story flags
+    static check(engine, condition) {
+        if (condition === undefined || condition === null) return true;
+        if (Array.isArray(condition)) return condition.every(part => Dialogue.check(engine, part));
+        if (condition.startsWith('!')) return !engine.flags[condition.slice(1)];
+        return !!engine.flags[condition];
+    }
+
+    // Set story flags from a script's { flag: value } map
+    static setFlags(engine, flags) {
+        if (flags) Object.assign(engine.flags, flags);
+    }
+
+    // Show a node's first page, or close the box if there's no node
+    static enterNode(engine, name) {
+        const dialogue = engine.dialogue;
+        const node = name && dialogue.script.nodes[name];
+
+        if (!node) {
+            if (name) console.warn(`Unknown dialogue node "${name}"`);
+            Dialogue.end(engine);
+            return;
+        }
+
+        Dialogue.setFlags(engine, node.set);
+
+        dialogue.node = node;
+        dialogue.page = 0;
+        dialogue.choices = (node.choices || []).filter(choice => Dialogue.check(engine, choice.if));
+        dialogue.selected = 0;
+        Dialogue.showPage(engine);
+    }
+
+    // Start typing out the current page
+    static showPage(engine) {
+        const dialogue = engine.dialogue;
+        const box = engine.dialogueBox;
+
+        dialogue.shown = 0;
+        box.speaker.textContent = dialogue.node.speaker || dialogue.speaker || '';
+        box.speaker.style.display = box.speaker.textContent ? 'block' : 'none';
+        box.text.textContent = '';
+        box.choices.innerHTML = '';
+        box.prompt.style.display = 'none';
+    }
+
+    // Pages of the current node
+    static pages(dialogue) {
+        const pages = dialogue.node.pages !== undefined ? dialogue.node.pages : dialogue.node.text;
+        return [].concat(pages || '');
+    }
+
+    // Whether the current page is the node's last
+    static onLastPage(dialogue) {
+        return dialogue.page >= Dialogue.pages(dialogue).length - 1;
+    }
+
+    // Reveal the rest of the page at once, and show what comes after it
+    static finishPage(engine) {
+        const dialogue = engine.dialogue;
+        const page = Dialogue.pages(dialogue)[dialogue.page];
+        dialogue.shown = page.length;
+        engine.dialogueBox.text.textContent = page;
+
+        if (Dialogue.onLastPage(dialogue) && dialogue.choices.length > 0) {
+            Dialogue.showChoices(engine);
+        } else {
+            engine.dialogueBox.prompt.style.display = 'block';
+        }
+    }
+
+    // List the choices under the last page
+    static showChoices(engine) {
+        const dialogue = engine.dialogue;
+        const list = engine.dialogueBox.choices;
+        list.innerHTML = '';
+
+        dialogue.choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.textContent = choice.text;
+            // Keep the click from also reaching the game as an attack press
+            button.addEventListener('mousedown', e => e.stopPropagation());
+            button.addEventListener('mouseenter', () => Dialogue.select(engine, index));
+            button.addEventListener('click', () => Dialogue.choose(engine, index));
+            list.appendChild(button);
+        });
+
+        Dialogue.select(engine, dialogue.selected);
+    }
+
+    // Highlight a choice
+    static select(engine, index) {
+        const dialogue = engine.dialogue;
+        const count = dialogue.choices.length;
+        dialogue.selected = (index + count) % count;
+
+        Array.from(engine.dialogueBox.choices.children).forEach((button, i) => {
+            button.classList.toggle('selected', i === dialogue.selected);
+        });
+    }
+
+    // Take a choice: set its flags, run its callback and go where it leads
+    static choose(engine, index) {
+        const choice = engine.dialogue.choices[index];
+        Dialogue.setFlags(engine, choice.set);
+        if (choice.onChoose) choice.onChoose(engine);
+        Dialogue.enterNode(engine, Dialogue.resolve(engine, choice.next));
+    }
+
+    // Confirm button - finish typing, turn the page, take the selected choice or move on
+    static confirm(engine) {
+        const dialogue = engine.dialogue;
+        const page = Dialogue.pages(dialogue)[dialogue.page];
+
+        if (dialogue.shown < page.length) {
+            Dialogue.finishPage(engine);
+        } else if (!Dialogue.onLastPage(dialogue)) {
+            dialogue.page++;
+            Dialogue.showPage(engine);
+        } else if (dialogue.choices.length > 0) {
+            Dialogue.choose(engine, dialogue.selected);
+        } else {
+            Dialogue.enterNode(engine, Dialogue.resolve(engine, dialogue.node.next));
+        }
+    }
+
+    // Handle the actions of an input pressed while the box is open
+    static handleActions(engine, actions) {
+        const dialogue = engine.dialogue;
+        const choosing = dialogue.choices.length > 0 && engine.dialogueBox.choices.children.length > 0;
+
+        if (choosing && actions.includes('moveForward')) {
+            Dialogue.select(engine, dialogue.selected - 1);
+        } else if (choosing && actions.includes('moveBackward')) {
+            Dialogue.select(engine, dialogue.selected + 1);
+        } else if (actions.some(action => Dialogue.confirmActions.includes(action))) {
+            Dialogue.confirm(engine);
+        }
+    }
+
+    // Close the text box
+    static end(engine) {
+        const dialogue = engine.dialogue;
+        engine.dialogue = null;
+        engine.dialogueBox.root.style.display = 'none';
+        engine.dialogueBox.choices.innerHTML = '';
+
+        if (dialogue.onEnd) dialogue.onEnd(engine);
+    }
+
+    // Typewriter - reveal the page a few characters at a time
+    static update(engine, deltaTime) {
+        const dialogue = engine.dialogue;
+        if (!dialogue) return;
+
+        const page = Dialogue.pages(dialogue)[dialogue.page];
+        if (dialogue.shown >= page.length) return;
+
+        dialogue.shown += Dialogue.charactersPerSecond * deltaTime;
+        if (dialogue.shown >= page.length) {
+            Dialogue.finishPage(engine);
+        } else {
+            engine.dialogueBox.text.textContent = page.slice(0, Math.floor(dialogue.shown));
+        }
+    }
+}
+
+// Typewriter speed
+Dialogue.charactersPerSecond = 40;
+
+// Actions that advance the text box (jump is left out so the closing press doesn't also jump)
+Dialogue.confirmActions = ['interact', 'attack'];
+
+// Export the Dialogue class
+window.Dialogue = Dialogue;
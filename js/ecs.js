@@ -0,0 +1,186 @@
+/**
+ * Entity-component module for the Zelda-like 3D Game Engine
+ * Contains entities, component factories and the systems that iterate them
+ *
+ * An entity is an id plus whichever components it has, stored as properties
+ * (entity.transform, entity.health, ...). Systems run every simulation step
+ * over all entities that have the components they ask for.
+ */
+
+class Entity {
+    constructor(id, tag) {
+        this.id = id;
+        this.tag = tag; // Kind of entity, e.g. 'player', 'enemy', 'prop'
+        this.persistent = false; // Persistent entities survive level unloads
+        this.destroyed = false;
+    }
+
+    // Position of the entity's transform
+    get position() {
+        return this.transform.object.position;
+    }
+
+    // Check whether the entity has all of the given components
+    has(...componentNames) {
+        return componentNames.every(name => this[name]);
+    }
+}
+
+// Component factories
+const Components = {
+    // Where the entity is; interpolate smooths rendering between simulation steps
+    transform(object, interpolate = false) {
+        return { object, interpolate };
+    },
+
+    // Hit points; onDeath(engine, entity) runs once when they reach zero
+    health(max, onDeath = null) {
+        return { current: max, max, dead: false, onDeath };
+    },
+
+    // Solid shape, see Collision for the shape factories
+    // options: layer and mask (Collision.layers bits), dynamic for colliders that move every step
+    collider(shape, options = {}) {
+        return {
+            shape,
+            layer: options.layer !== undefined ? options.layer : Collision.layers.world,
+            mask: options.mask !== undefined ? options.mask : Collision.layers.all,
+            dynamic: !!options.dynamic,
+            cells: null // Broadphase cells the collider is registered in
+        };
+    },
+
+    // Something the player can use with the interact key (or walk into, for exits)
+    interactable(type, box, action) {
+        return { type, box, action };
+    },
+
+    // Behaviour parameters and state for AI controlled entities
+    ai(params) {
+        return Object.assign({}, params);
+    },
+
+    // Flight state of a projectile, see Projectile.spawn
+    projectile(params) {
+        return Object.assign({ age: 0 }, params);
+    },
+
+    // What a piece of dropped loot gives and how it's flying, see Loot.spawn
+    loot(params) {
+        return Object.assign({ age: 0, resting: false, carried: false }, params);
+    },
+
+    // Fuse and fall of a lit bomb, see SubWeapons.throwBomb
+    bomb(params) {
+        return Object.assign({ resting: false, flash: 0 }, params);
+    },
+
+    // Flight of a thrown boomerang and what it's bringing back, see SubWeapons.throwBoomerang
+    boomerang(params) {
+        return Object.assign({ age: 0, returning: false, carried: [], stunned: [] }, params);
+    },
+
+    // Chain of a fired hookshot, see SubWeapons.fireHookshot
+    hookshot(params) {
+        return Object.assign({ length: 0, state: 'extend', anchor: null }, params);
+    },
+
+    // Something explosions destroy; onBreak(engine, entity) runs when one does
+    breakable(onBreak) {
+        return { onBreak };
+    },
+
+    // Name and script of a villager the player can talk to, see NPC.create
+    npc(params) {
+        return Object.assign({}, params);
+    },
+
+    // Visual representation; parts names sub-meshes that systems animate
+    renderable(object, parts = {}) {
+        return { object, parts };
+    }
+};
+
+class ECS {
+    // Setup the entity list and systems
+    static setup(engine) {
+        engine.entities = [];
+        engine.systems = [];
+        engine.nextEntityId = 1;
+    }
+
+    // Create an entity with the given components
+    static createEntity(engine, tag, components) {
+        const entity = Object.assign(new Entity(engine.nextEntityId++, tag), components);
+
+        // Let scene objects find their entity (e.g. from raycasts)
+        if (entity.transform) {
+            entity.transform.object.userData.entity = entity;
+        }
+
+        engine.entities.push(entity);
+
+        if (entity.collider) {
+            Collision.add(engine, entity);
+        }
+
+        return entity;
+    }
+
+    // Remove an entity and its visual from the world
+    static destroyEntity(engine, entity) {
+        if (entity.destroyed) return;
+        entity.destroyed = true;
+
+        const index = engine.entities.indexOf(entity);
+        if (index > -1) {
+            engine.entities.splice(index, 1);
+        }
+
+        if (entity.collider) {
+            Collision.remove(engine, entity);
+        }
+
+        if (entity.renderable && entity.renderable.object.parent) {
+            entity.renderable.object.parent.remove(entity.renderable.object);
+        }
+    }
+
+    // All entities that have every given component
+    static query(engine, ...componentNames) {
+        return engine.entities.filter(entity => entity.has(...componentNames));
+    }
+
+    // Register a system that runs update(engine, entity, deltaTime) for every matching entity
+    static addSystem(engine, name, componentNames, update) {
+        engine.systems.push({ name, componentNames, update });
+    }
+
+    // Run all systems in registration order
+    static update(engine, deltaTime) {
+        engine.systems.forEach(system => {
+            ECS.query(engine, ...system.componentNames).forEach(entity => {
+                // An earlier system may have destroyed the entity this step
+                if (!entity.destroyed) {
+                    system.update(engine, entity, deltaTime);
+                }
+            });
+        });
+    }
+
+    // Health system - runs the death handler once when health reaches zero
+    static updateHealth(engine, entity) {
+        const health = entity.health;
+        if (health.dead || health.current > 0) return;
+
+        health.dead = true;
+        if (health.onDeath) {
+            health.onDeath(engine, entity);
+        }
+    }
+}
+
+// Export the entity-component classes
+window.Entity = Entity;
+window.Components = Components;
+window.ECS = ECS;
@@ -0,0 +1,400 @@
+/**
+ * Enemy types module for the Zelda-like 3D Game Engine
+ * Contains the registry of enemy archetypes and their models
+ *
+ * Each type defines a model builder, stats, collision shape, the AI settings its state
+ * machine runs with, its attack and what it may drop. Levels spawn a type by name:
+ * { "type": "octorok", "position": [x, y, z] }.
+ */
+
+class EnemyTypes {
+    // Add an enemy type to the registry
+    static register(name, definition) {
+        EnemyTypes.registry[name] = Object.assign({ name }, definition);
+    }
+
+    // Look up an enemy type, falling back to the default for unknown names
+    static get(name) {
+        const type = EnemyTypes.registry[name];
+        if (type) return type;
+
+        console.warn(`Unknown enemy type "${name}"`);
+        return EnemyTypes.registry[EnemyTypes.defaultType];
+    }
+
+    // Red horned blob that charges and bites
+    static buildBlob() {
+        // Create a group for the entire enemy
+        const enemy = new THREE.Group();
+
+        // Main body
+        const bodyGeometry = new THREE.SphereGeometry(0.5, 16, 16);
+        const bodyMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0xaa0000,
+            roughness: 0.7,
+            metalness: 0.2
+        });
+        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
+        body.castShadow = true;
+        enemy.add(body);
+
+        // Enemy eyes
+        const eyeGeometry = new THREE.SphereGeometry(0.1, 8, 8);
+        const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
+
+        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        leftEye.position.set(-0.22, 0.15, -0.35);
+        body.add(leftEye);
+
+        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+        rightEye.position.set(0.22, 0.15, -0.35);
+        body.add(rightEye);
+
+        // Pupils with improved look
+        const pupilGeometry = new THREE.SphereGeometry(0.05, 8, 8);
+        const pupilMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x000000,
+            roughness: 0.1,
+            metalness: 0.1
+        });
+
+        const leftPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
+        leftPupil.position.z = -0.05;
+        leftEye.add(leftPupil);
+
+        const rightPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
+        rightPupil.position.z = -0.05;
+        rightEye.add(rightPupil);
+        
+        // Add a mouth
+        const mouthGeometry = new THREE.SphereGeometry(0.15, 16, 8);
+        // Cut the sphere in half for a mouth shape
+        for (let i = 0; i < mouthGeometry.attributes.position.count; i++) {
+            const y = mouthGeometry.attributes.position.getY(i);
+            if (y > 0) {
+                mouthGeometry.attributes.position.setY(i, y * 0.3);
+            }
+        }
+        
+        const mouthMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x000000,
+            roughness: 0.2 
+        });
+        const mouth = new THREE.Mesh(mouthGeometry, mouthMaterial);
+        mouth.position.set(0, -0.15, -0.35);
+        mouth.rotation.x = Math.PI / 5; // Tilt slightly
+        body.add(mouth);
+        
+        // Add teeth
+        const toothGeometry = new THREE.BoxGeometry(0.07, 0.07, 0.07);
+        const toothMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0xffffff,
+            roughness: 0.3 
+        });
+        
+        const leftTooth = new THREE.Mesh(toothGeometry, toothMaterial);
+        leftTooth.position.set(-0.08, 0.03, 0.05);
+        mouth.add(leftTooth);
+        
+        const rightTooth = new THREE.Mesh(toothGeometry, toothMaterial);
+        rightTooth.position.set(0.08, 0.03, 0.05);
+        mouth.add(rightTooth);
+        
+        // Add spherical legs
+        const legGeometry = new THREE.SphereGeometry(0.15, 12, 12);
+        const legMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x880000, // Slightly darker than body
+            roughness: 0.8 
+        });
+        
+        const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
+        leftLeg.position.set(-0.3, -0.6, 0);
+        leftLeg.castShadow = true;
+        body.add(leftLeg);
+        
+        const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
+        rightLeg.position.set(0.3, -0.6, 0);
+        rightLeg.castShadow = true;
+        body.add(rightLeg);
+        
+        // Add horns for a more menacing look
+        const hornGeometry = new THREE.ConeGeometry(0.1, 0.25, 8);
+        const hornMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0x880000,
+            roughness: 0.7
+        });
+        
+        const leftHorn = new THREE.Mesh(hornGeometry, hornMaterial);
+        leftHorn.position.set(-0.25, 0.4, -0.1);
+        leftHorn.rotation.x = -Math.PI / 6;
+        leftHorn.rotation.z = -Math.PI / 6;
+        body.add(leftHorn);
+        
+        const rightHorn = new THREE.Mesh(hornGeometry, hornMaterial);
+        rightHorn.position.set(0.25, 0.4, -0.1);
+        rightHorn.rotation.x = -Math.PI / 6;
+        rightHorn.rotation.z = Math.PI / 6;
+        body.add(rightHorn);
+
+        return { object: enemy, parts: { body, leftLeg, rightLeg, eyes: [leftEye, rightEye] } };
+    }
+
+    // Round rock-spitter with a snout, standing on stubby tentacles
+    static buildOctorok() {
+        const enemy = new THREE.Group();
+
+        const bodyMaterial = new THREE.MeshStandardMaterial({ color: 0xd35400, roughness: 0.6 });
+        const body = new THREE.Mesh(new THREE.SphereGeometry(0.55, 16, 16), bodyMaterial);
+        body.castShadow = true;
+        enemy.add(body);
+
+        // Snout the rocks come out of
+        const snout = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.15, 0.2, 0.4, 12, 1, true),
+            new THREE.MeshStandardMaterial({ color: 0xa04000, roughness: 0.6, side: THREE.DoubleSide })
+        );
+        snout.rotation.x = Math.PI / 2;
+        snout.position.set(0, -0.05, 0.55);
+        body.add(snout);
+
+        const [leftEye, rightEye] = EnemyTypes.buildEyes(body, 0.12, 0.2, 0.2, 0.42);
+
+        // Tentacles - the front two shuffle when walking
+        const legGeometry = new THREE.SphereGeometry(0.14, 10, 10);
+        const legMaterial = new THREE.MeshStandardMaterial({ color: 0xa04000, roughness: 0.8 });
+        const legs = [[-0.3, 0.2], [0.3, 0.2], [-0.3, -0.2], [0.3, -0.2]].map(([x, z]) => {
+            const leg = new THREE.Mesh(legGeometry, legMaterial);
+            leg.position.set(x, -0.6, z);
+            leg.castShadow = true;
+            body.add(leg);
+            return leg;
+        });
+
+        return {
+            object: enemy,
+            parts: { body, snout, leftLeg: legs[0], rightLeg: legs[1], eyes: [leftEye, rightEye] }
+        };
+    }
+
+    // Big pig-faced brute carrying a shield on its front
+    static buildMoblin() {
+        const enemy = new THREE.Group();
+
+        const body = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.45, 0.6, 1.3, 12),
+            new THREE.MeshStandardMaterial({ color: 0x6b4226, roughness: 0.8 })
+        );
+        body.position.y = 0.2;
+        body.castShadow = true;
+        enemy.add(body);
+
+        const head = new THREE.Mesh(
+            new THREE.SphereGeometry(0.4, 16, 16),
+            new THREE.MeshStandardMaterial({ color: 0x8d6e63, roughness: 0.7 })
+        );
+        head.position.y = 0.95;
+        head.castShadow = true;
+        body.add(head);
+
+        // Snout
+        const snout = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.12, 0.14, 0.2, 10),
+            new THREE.MeshStandardMaterial({ color: 0xbc8f8f, roughness: 0.7 })
+        );
+        snout.rotation.x = Math.PI / 2;
+        snout.position.set(0, -0.05, 0.38);
+        head.add(snout);
+
+        const [leftEye, rightEye] = EnemyTypes.buildEyes(head, 0.08, 0.15, 0.12, 0.32);
+
+        // Shield covering the front
+        const shield = new THREE.Mesh(
+            new THREE.BoxGeometry(1.0, 1.2, 0.1),
+            new THREE.MeshStandardMaterial({ color: 0x7f8c8d, roughness: 0.4, metalness: 0.6 })
+        );
+        shield.position.set(0, 0, 0.65);
+        shield.castShadow = true;
+        body.add(shield);
+
+        const legGeometry = new THREE.BoxGeometry(0.25, 0.5, 0.25);
+        const legMaterial = new THREE.MeshStandardMaterial({ color: 0x4e342e, roughness: 0.8 });
+
+        const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
+        leftLeg.position.set(-0.25, -0.75, 0);
+        leftLeg.castShadow = true;
+        body.add(leftLeg);
+
+        const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
+        rightLeg.position.set(0.25, -0.75, 0);
+        rightLeg.castShadow = true;
+        body.add(rightLeg);
+
+        return { object: enemy, parts: { body, shield, leftLeg, rightLeg, eyes: [leftEye, rightEye] } };
+    }
+
+    // Small bat that flutters above the ground
+    static buildKeese() {
+        const enemy = new THREE.Group();
+
+        const body = new THREE.Mesh(
+            new THREE.SphereGeometry(0.25, 12, 12),
+            new THREE.MeshStandardMaterial({ color: 0x2c2c54, roughness: 0.7 })
+        );
+        body.castShadow = true;
+        enemy.add(body);
+
+        const [leftEye, rightEye] = EnemyTypes.buildEyes(body, 0.06, 0.1, 0.08, 0.2, 0xf1c40f);
+
+        // Wings hinge at the body so flapping rotates them around their inner edge
+        const wingGeometry = new THREE.BoxGeometry(0.5, 0.04, 0.3);
+        wingGeometry.translate(0.25, 0, 0);
+        const wingMaterial = new THREE.MeshStandardMaterial({ color: 0x40407a, roughness: 0.8 });
+
+        const leftWing = new THREE.Mesh(wingGeometry, wingMaterial);
+        leftWing.position.x = -0.2;
+        leftWing.rotation.y = Math.PI;
+        body.add(leftWing);
+
+        const rightWing = new THREE.Mesh(wingGeometry, wingMaterial);
+        rightWing.position.x = 0.2;
+        body.add(rightWing);
+
+        return { object: enemy, parts: { body, leftWing, rightWing, eyes: [leftEye, rightEye] } };
+    }
+
+    // Add a pair of eyes with pupils to a head, facing +Z
+    static buildEyes(head, radius, spacing, height, depth, color = 0xffffff) {
+        const eyeGeometry = new THREE.SphereGeometry(radius, 8, 8);
+        const eyeMaterial = new THREE.MeshStandardMaterial({ color });
+        const pupilGeometry = new THREE.SphereGeometry(radius / 2, 8, 8);
+        const pupilMaterial = new THREE.MeshStandardMaterial({ color: 0x000000, roughness: 0.1 });
+
+        return [-spacing, spacing].map(x => {
+            const eye = new THREE.Mesh(eyeGeometry, eyeMaterial.clone());
+            eye.position.set(x, height, depth);
+            head.add(eye);
+
+            const pupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
+            pupil.position.z = radius / 2;
+            eye.add(pupil);
+
+            return eye;
+        });
+    }
+}
+
+// Registered enemy types by name
+EnemyTypes.registry = {};
+
+// Type spawned when a level doesn't name one
+EnemyTypes.defaultType = 'blob';
+
+// Type definitions:
+//   build       - returns { object, parts }; parts.body flashes when hit, parts.eyes track the player,
+//                 parts.leftLeg/rightLeg shuffle when walking, parts.leftWing/rightWing flap
+//   health      - hits to defeat
+//   shape       - collision shape
+//   groundOffset- height of the origin above the ground (hover height for flyers)
+//   ai          - settings for the state machine, see Enemy.create for the defaults; damage is
+//                 in quarter hearts
+//   attack      - attack(engine, entity), run whenever the attack cooldown allows
+//   shielded    - blocks hits from the front
+//   drops       - drop table rolled on defeat, see Loot
+EnemyTypes.register('blob', {
+    build: EnemyTypes.buildBlob,
+    health: 2,
+    shape: Enemy.shape,
+    groundOffset: Enemy.groundOffset,
+    ai: { speed: 2, attackRange: 1.5, damage: 2 },
+    attack: Enemy.meleeAttack,
+    drops: {
+        rolls: 1,
+        table: [
+            { weight: 40 },
+            { weight: 35, type: 'rupees', count: 1 },
+            { weight: 5, type: 'rupees', count: 5 },
+            { weight: 15, type: 'heart' },
+            { weight: 5, type: 'arrows', count: 5 },
+            { weight: 5, type: 'bombs', count: 2 }
+        ]
+    }
+});
+
+EnemyTypes.register('octorok', {
+    build: EnemyTypes.buildOctorok,
+    health: 2,
+    shape: Collision.capsule(0.55, 1.5, -0.85),
+    groundOffset: 1.15,
+    ai: {
+        speed: 1.5,
+        attackRange: 7, // Spits from a distance
+        retreatRange: 3, // Backs off when the player gets closer than this
+        attackCooldown: 2.5,
+        damage: 4,
+        ranged: true
+    },
+    attack: Enemy.spitAttack,
+    drops: {
+        rolls: 1,
+        table: [
+            { weight: 30 },
+            { weight: 30, type: 'rupees', count: 1 },
+            { weight: 10, type: 'rupees', count: 5 },
+            { weight: 15, type: 'heart' },
+            { weight: 15, type: 'arrows', count: 5 }
+        ]
+    }
+});
+
+EnemyTypes.register('moblin', {
+    build: EnemyTypes.buildMoblin,
+    health: 4,
+    shape: Collision.capsule(0.7, 2.4, -1.2),
+    groundOffset: 1.2,
+    ai: { speed: 1.6, patrolSpeed: 0.8, attackRange: 2, attackCooldown: 2.5, damage: 8, fleeHealth: 0, knockbackScale: 0.5 },
+    attack: Enemy.meleeAttack,
+    shielded: true,
+    drops: {
+        rolls: 2,
+        table: [
+            { weight: 20 },
+            { weight: 20, type: 'rupees', count: 1 },
+            { weight: 25, type: 'rupees', count: 5 },
+            { weight: 5, type: 'rupees', count: 20 },
+            { weight: 20, type: 'heart' },
+            { weight: 10, type: 'arrows', count: 10 },
+            { weight: 10, type: 'bombs', count: 4 }
+        ]
+    }
+});
+
+EnemyTypes.register('keese', {
+    build: EnemyTypes.buildKeese,
+    health: 1,
+    shape: Collision.circle(0.3, 0.6, -0.3),
+    groundOffset: 2,
+    ai: {
+        speed: 3.5,
+        patrolSpeed: 2,
+        attackRange: 1.2,
+        maxDetectionRange: 12,
+        attackCooldown: 1.5,
+        damage: 1,
+        fleeHealth: 0,
+        flying: true, // Flies straight at targets without pathfinding
+        weave: 1.5 // Side to side wobble while flying
+    },
+    attack: Enemy.meleeAttack,
+    drops: {
+        rolls: 1,
+        table: [
+            { weight: 60 },
+            { weight: 25, type: 'rupees', count: 1 },
+            { weight: 10, type: 'heart' },
+            { weight: 5, type: 'arrows', count: 5 }
+        ]
+    }
+});
+
+// Export the EnemyTypes class
+window.EnemyTypes = EnemyTypes;
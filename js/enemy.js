@@ -4,303 +4,658 @@
  */
 
 class Enemy {
-    // Create enemy
-    static create(engine, x, y, z) {
-        // Create a group for the entire enemy
-        const enemy = new THREE.Group();
-        enemy.position.set(x, y + 0.8, z); // Raised a bit to account for legs
-        
-        // Add a default health value (used to track damage)
-        enemy.health = 2; // Takes 2 hits to kill
-        
-        // Main body
-        const bodyGeometry = new THREE.SphereGeometry(0.5, 16, 16);
-        const bodyMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xaa0000,
-            roughness: 0.7,
-            metalness: 0.2
-        });
-        const body = new THREE.Mesh(bodyGeometry, bodyMaterial);
-        body.castShadow = true;
-        enemy.add(body);
-
-        // Enemy eyes
-        const eyeGeometry = new THREE.SphereGeometry(0.1, 8, 8);
-        const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0xffffff });
-
-        const leftEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        leftEye.position.set(-0.22, 0.15, -0.35);
-        body.add(leftEye);
-
-        const rightEye = new THREE.Mesh(eyeGeometry, eyeMaterial);
-        rightEye.position.set(0.22, 0.15, -0.35);
-        body.add(rightEye);
-
-        // Pupils with improved look
-        const pupilGeometry = new THREE.SphereGeometry(0.05, 8, 8);
-        const pupilMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x000000,
-            roughness: 0.1,
-            metalness: 0.1
+    // Create an enemy of a registered type (see EnemyTypes)
+    // options (from the level file): type, patrol waypoints as [x, y, z] arrays, leashDistance, fleeHealth
+    static create(engine, x, y, z, options = {}) {
+        const type = EnemyTypes.get(options.type || EnemyTypes.defaultType);
+        const { object: enemy, parts } = type.build(engine);
+        enemy.position.set(x, Terrain.heightAt(engine, x, z) + y + type.groundOffset, z);
+
+        // Remember where animated parts rest so animations can return them there
+        Object.values(parts).forEach(part => {
+            if (part.isObject3D) part.userData.restPosition = part.position.clone();
         });
 
-        const leftPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
-        leftPupil.position.z = -0.05;
-        leftEye.add(leftPupil);
-
-        const rightPupil = new THREE.Mesh(pupilGeometry, pupilMaterial);
-        rightPupil.position.z = -0.05;
-        rightEye.add(rightPupil);
-        
-        // Add a mouth
-        const mouthGeometry = new THREE.SphereGeometry(0.15, 16, 8);
-        // Cut the sphere in half for a mouth shape
-        for (let i = 0; i < mouthGeometry.attributes.position.count; i++) {
-            const y = mouthGeometry.attributes.position.getY(i);
-            if (y > 0) {
-                mouthGeometry.attributes.position.setY(i, y * 0.3);
-            }
-        }
-        
-        const mouthMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x000000,
-            roughness: 0.2 
+        engine.levelRoot.add(enemy);
+
+        const patrol = (options.patrol || []).map(([px, , pz]) => new THREE.Vector3(px, 0, pz));
+
+        // Level data can tune how far this enemy chases and when it runs away
+        const levelSettings = {};
+        ['leashDistance', 'fleeHealth'].forEach(key => {
+            if (options[key] !== undefined) levelSettings[key] = options[key];
         });
-        const mouth = new THREE.Mesh(mouthGeometry, mouthMaterial);
-        mouth.position.set(0, -0.15, -0.35);
-        mouth.rotation.x = Math.PI / 5; // Tilt slightly
-        body.add(mouth);
-        
-        // Add teeth
-        const toothGeometry = new THREE.BoxGeometry(0.07, 0.07, 0.07);
-        const toothMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xffffff,
-            roughness: 0.3 
+
+        return ECS.createEntity(engine, 'enemy', {
+            transform: Components.transform(enemy, true),
+            // Keep references to the parts the AI animates
+            renderable: Components.renderable(enemy, parts),
+            health: Components.health(type.health, Enemy.onDeath),
+            collider: Components.collider(type.shape, {
+                layer: Collision.layers.enemy,
+                mask: Collision.layers.world,
+                dynamic: true
+            }),
+            ai: Components.ai(Object.assign({
+                speed: 2,
+                patrolSpeed: 1,
+                fleeSpeedScale: 1.25,
+                attackRange: 1.5,
+                retreatRange: 0, // Ranged enemies back away from a player closer than this
+                maxDetectionRange: 10,
+                attackCooldown: 2, // seconds
+                damage: 4, // Quarter hearts taken from the player per hit
+                leashDistance: 15, // Give up the chase this far from home
+                fleeHealth: 0.5, // Run away at or below this fraction of max health
+                ranged: false, // Attacks from a distance, and only with a clear line to the player
+                flying: false, // Flies straight at targets at groundOffset instead of pathfinding
+                weave: 0, // Side to side wobble while moving
+                patrolWait: 1, // Seconds to pause at each waypoint
+                investigateTime: 3, // Seconds spent looking around where the player was last seen
+                invincibilityTime: 0.2, // Seconds after being hit before it can be hurt again
+                knockbackScale: 1 // Multiplier on how far hits push it
+            }, type.ai, levelSettings, {
+                type: type.name,
+                groundOffset: type.groundOffset,
+                state: patrol.length > 0 ? 'patrol' : 'idle',
+                stateTime: 0, // Seconds spent in the current state
+                home: enemy.position.clone(),
+                patrol,
+                patrolIndex: 0,
+                lastSeenPosition: enemy.position.clone(),
+                path: null, // Waypoints to the current destination, see Navigation.findPath
+                pathGoal: new THREE.Vector3(), // Destination the path was found for
+                pathTime: 0, // Simulation time of the last path search
+                searchTime: 0,
+                lastAttackTime: 0,
+                moving: false, // Whether the enemy moved this step, for animation
+                wasMoving: false,
+                walkTime: 0, // For animation timing
+                knockback: new THREE.Vector3(), // Velocity from the last hit, see Combat.knockback
+                invincibleUntil: 0 // Simulation time the enemy can be hurt again
+            }))
         });
-        
-        const leftTooth = new THREE.Mesh(toothGeometry, toothMaterial);
-        leftTooth.position.set(-0.08, 0.03, 0.05);
-        mouth.add(leftTooth);
-        
-        const rightTooth = new THREE.Mesh(toothGeometry, toothMaterial);
-        rightTooth.position.set(0.08, 0.03, 0.05);
-        mouth.add(rightTooth);
-        
-        // Add spherical legs
-        const legGeometry = new THREE.SphereGeometry(0.15, 12, 12);
-        const legMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x880000, // Slightly darker than body
-            roughness: 0.8 
+    }
+
+    // AI system - run the enemy's current state
+    static updateAI(engine, entity, deltaTime) {
+        const ai = entity.ai;
+
+        // Defeated enemies stop moving while their death effect plays
+        if (entity.health.dead) return;
+
+        ai.stateTime += deltaTime;
+        ai.moving = false;
+
+        // Knocked back - slide with the hit and don't act until it dies down
+        if (Combat.updateKnockback(engine, entity, ai.knockback, deltaTime, !ai.flying)) {
+            entity.position.y = Terrain.heightAt(engine, entity.position.x, entity.position.z) + ai.groundOffset;
+            Enemy.animate(engine, entity, deltaTime);
+            return;
+        }
+
+        // Remember where the player was last seen so the enemy can go and look
+        const seesPlayer = Enemy.canSeePlayer(engine, entity);
+        if (seesPlayer) {
+            ai.lastSeenPosition.copy(engine.player.position);
+        }
+
+        Enemy.states[ai.state](engine, entity, deltaTime, seesPlayer);
+
+        Enemy.animate(engine, entity, deltaTime);
+    }
+
+    // Switch to another state
+    static setState(engine, entity, state) {
+        const ai = entity.ai;
+        if (ai.state === state) return;
+
+        // Flash the eyes red when first spotting the player
+        if (state === 'chase' && !Enemy.combatStates.includes(ai.state)) {
+            Enemy.flashEyes(engine, entity);
+        }
+
+        ai.state = state;
+        ai.stateTime = 0;
+        ai.path = null;
+    }
+
+    // Check whether the player is close enough to notice
+    static canSeePlayer(engine, entity) {
+        // Enemies lose interest in a dead player
+        if (engine.playerState !== 'alive') return false;
+
+        return entity.position.distanceTo(engine.player.position) < entity.ai.maxDetectionRange;
+    }
+
+    // Check whether health is low enough to run away
+    static isHurt(entity) {
+        return entity.health.current <= entity.health.max * entity.ai.fleeHealth;
+    }
+
+    // Start chasing, or run away when hurt
+    static engage(engine, entity) {
+        Enemy.setState(engine, entity, Enemy.isHurt(entity) ? 'flee' : 'chase');
+    }
+
+    // Idle state - wait at home until the player comes close
+    static updateIdle(engine, entity, deltaTime, seesPlayer) {
+        if (seesPlayer) Enemy.engage(engine, entity);
+    }
+
+    // Patrol state - walk between waypoints, pausing at each
+    static updatePatrol(engine, entity, deltaTime, seesPlayer) {
+        const ai = entity.ai;
+
+        if (seesPlayer) {
+            Enemy.engage(engine, entity);
+            return;
+        }
+
+        // Waiting at a waypoint
+        if (ai.stateTime < ai.patrolWait) return;
+
+        const waypoint = ai.patrol[ai.patrolIndex];
+        if (Enemy.navigateTo(engine, entity, waypoint, ai.patrolSpeed, deltaTime) < Enemy.arriveDistance) {
+            ai.patrolIndex = (ai.patrolIndex + 1) % ai.patrol.length;
+            ai.stateTime = 0;
+        }
+    }
+
+    // Chase state - run at the player until in attack range
+    static updateChase(engine, entity, deltaTime, seesPlayer) {
+        const ai = entity.ai;
+
+        // Give up when dragged too far from home
+        if (Enemy.distanceFromHome(entity) > ai.leashDistance) {
+            Enemy.setState(engine, entity, 'returnHome');
+            return;
+        }
+
+        // Lost sight of the player - go and look where they were
+        if (!seesPlayer) {
+            Enemy.setState(engine, entity, 'investigate');
+            return;
+        }
+
+        if (Enemy.isHurt(entity)) {
+            Enemy.setState(engine, entity, 'flee');
+            return;
+        }
+
+        if (Enemy.inAttackPosition(engine, entity)) {
+            Enemy.setState(engine, entity, 'attack');
+            return;
+        }
+
+        Enemy.navigateTo(engine, entity, engine.player.position, ai.speed, deltaTime);
+
+        // Keep an eye on the player once there's a clear run at them (flyers always have one)
+        if (!ai.path || ai.path.length === 1) {
+            Enemy.watchPlayer(engine, entity);
+        }
+    }
+
+    // Attack state - hit the player whenever the cooldown allows
+    static updateAttack(engine, entity, deltaTime, seesPlayer) {
+        const ai = entity.ai;
+
+        if (!seesPlayer) {
+            Enemy.setState(engine, entity, 'investigate');
+            return;
+        }
+
+        if (Enemy.isHurt(entity)) {
+            Enemy.setState(engine, entity, 'flee');
+            return;
+        }
+
+        if (!Enemy.inAttackPosition(engine, entity)) {
+            Enemy.setState(engine, entity, 'chase');
+            return;
+        }
+
+        // Ranged attackers keep their distance
+        const distance = Enemy.horizontalDistance(entity.position, engine.player.position);
+        if (distance < ai.retreatRange) {
+            const away = new THREE.Vector3().subVectors(entity.position, engine.player.position).setY(0).normalize();
+            Enemy.moveTowards(engine, entity, entity.position.clone().add(away), ai.patrolSpeed, deltaTime);
+        }
+
+        Enemy.watchPlayer(engine, entity);
+
+        if (engine.simTime - ai.lastAttackTime > ai.attackCooldown) {
+            ai.lastAttackTime = engine.simTime;
+            EnemyTypes.get(ai.type).attack(engine, entity);
+        }
+    }
+
+    // Check whether the player is in range of the enemy's attack
+    // Ranged attackers also need a clear line through the navigation grid
+    static inAttackPosition(engine, entity) {
+        const ai = entity.ai;
+        if (entity.position.distanceTo(engine.player.position) > ai.attackRange) return false;
+
+        return !ai.ranged || !engine.navigation ||
+            Navigation.isClear(engine.navigation, entity.position, engine.player.position);
+    }
+
+    // Bite or swoop at the player
+    static meleeAttack(engine, entity) {
+        Combat.hitPlayer(engine, { damage: entity.ai.damage, from: entity.position, attacker: entity });
+        Enemy.lunge(engine, entity);
+    }
+
+    // Spit a rock in an arc at the player
+    static spitAttack(engine, entity) {
+        const start = new THREE.Vector3();
+        entity.renderable.parts.snout.getWorldPosition(start);
+
+        const rock = new THREE.Mesh(
+            new THREE.SphereGeometry(0.15, 8, 8),
+            new THREE.MeshStandardMaterial({ color: 0x7f8c8d, roughness: 0.9 })
+        );
+        rock.castShadow = true;
+
+        Projectile.spawn(engine, {
+            mesh: rock,
+            position: start,
+            velocity: Projectile.arcVelocity(start, engine.player.position, Enemy.spitSpeed, Enemy.spitGravity),
+            gravity: Enemy.spitGravity,
+            radius: 0.15,
+            damage: entity.ai.damage,
+            mask: Collision.layers.world | Collision.layers.player,
+            owner: entity
         });
-        
-        const leftLeg = new THREE.Mesh(legGeometry, legMaterial);
-        leftLeg.position.set(-0.3, -0.6, 0);
-        leftLeg.castShadow = true;
-        body.add(leftLeg);
-        
-        const rightLeg = new THREE.Mesh(legGeometry, legMaterial);
-        rightLeg.position.set(0.3, -0.6, 0);
-        rightLeg.castShadow = true;
-        body.add(rightLeg);
-        
-        // Add horns for a more menacing look
-        const hornGeometry = new THREE.ConeGeometry(0.1, 0.25, 8);
-        const hornMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x880000,
-            roughness: 0.7
+
+        Enemy.lunge(engine, entity);
+    }
+
+    // Reel from a parry, open to any attack (shields included) until it recovers
+    static stagger(engine, entity) {
+        if (entity.health.dead) return;
+
+        Enemy.setState(engine, entity, 'stagger');
+        entity.ai.lastAttackTime = engine.simTime; // No attack straight after recovering
+    }
+
+    // Stagger state - wobble in place, then go back to the fight
+    static updateStagger(engine, entity, deltaTime, seesPlayer) {
+        const ai = entity.ai;
+        const { body } = entity.renderable.parts;
+
+        if (ai.stateTime >= Enemy.staggerDuration) {
+            Enemy.recover(engine, entity, seesPlayer);
+            return;
+        }
+
+        body.rotation.z = Math.sin(ai.stateTime * 25) * 0.25 * (1 - ai.stateTime / Enemy.staggerDuration);
+    }
+
+    // Daze the enemy for duration seconds (boomerang, hookshot); stunning again starts it over
+    static stun(engine, entity, duration) {
+        if (entity.health.dead) return;
+
+        Enemy.setState(engine, entity, 'stun');
+        entity.ai.stateTime = 0;
+        entity.ai.stunDuration = duration;
+        entity.ai.lastAttackTime = engine.simTime; // No attack straight after recovering
+    }
+
+    // Stun state - sway dizzily on the spot, then go back to the fight
+    static updateStun(engine, entity, deltaTime, seesPlayer) {
+        const ai = entity.ai;
+
+        if (ai.stateTime >= ai.stunDuration) {
+            Enemy.recover(engine, entity, seesPlayer);
+            return;
+        }
+
+        entity.renderable.parts.body.rotation.z = Math.sin(ai.stateTime * 6) * 0.15;
+    }
+
+    // Come round from a stagger or stun
+    static recover(engine, entity, seesPlayer) {
+        entity.renderable.parts.body.rotation.z = 0;
+
+        if (seesPlayer) {
+            Enemy.engage(engine, entity);
+        } else {
+            Enemy.setState(engine, entity, 'investigate');
+        }
+    }
+
+    // Getting hit by something it didn't see coming sends the enemy to look where it came from
+    static onHit(engine, entity, from) {
+        const ai = entity.ai;
+        if (Enemy.combatStates.includes(ai.state) || ai.state === 'flee') return;
+
+        ai.lastSeenPosition.copy(from);
+        Enemy.setState(engine, entity, 'investigate');
+    }
+
+    // Check whether a shielded enemy blocks a hit coming from a position in front of it
+    static blocksAttack(entity, fromPosition) {
+        if (!EnemyTypes.get(entity.ai.type).shielded || Enemy.dazedStates.includes(entity.ai.state)) return false;
+
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(entity.transform.object.quaternion).setY(0);
+        const toAttacker = new THREE.Vector3().subVectors(fromPosition, entity.position).setY(0);
+
+        return forward.angleTo(toAttacker) < Enemy.shieldAngle;
+    }
+
+    // Investigate state - walk to where the player was last seen and look around
+    static updateInvestigate(engine, entity, deltaTime, seesPlayer) {
+        const ai = entity.ai;
+
+        if (seesPlayer) {
+            Enemy.engage(engine, entity);
+            return;
+        }
+
+        if (Enemy.distanceFromHome(entity) > ai.leashDistance) {
+            Enemy.setState(engine, entity, 'returnHome');
+            return;
+        }
+
+        const distance = Enemy.horizontalDistance(entity.position, ai.lastSeenPosition);
+        if (distance > Enemy.arriveDistance) {
+            Enemy.navigateTo(engine, entity, ai.lastSeenPosition, ai.patrolSpeed, deltaTime);
+            ai.searchTime = 0;
+            return;
+        }
+
+        // Look around, then give up
+        entity.transform.object.rotation.y += deltaTime * 2;
+        ai.searchTime += deltaTime;
+        if (ai.searchTime > ai.investigateTime) {
+            Enemy.setState(engine, entity, 'returnHome');
+        }
+    }
+
+    // Flee state - run directly away from the player until out of sight
+    static updateFlee(engine, entity, deltaTime, seesPlayer) {
+        const ai = entity.ai;
+        const awayFromPlayer = new THREE.Vector3().subVectors(entity.position, engine.player.position);
+
+        if (!seesPlayer || awayFromPlayer.length() > ai.maxDetectionRange) {
+            Enemy.setState(engine, entity, 'returnHome');
+            return;
+        }
+
+        awayFromPlayer.y = 0;
+        const target = entity.position.clone().add(awayFromPlayer.normalize());
+        Enemy.moveTowards(engine, entity, target, ai.speed * ai.fleeSpeedScale, deltaTime);
+    }
+
+    // Return home state - walk back to the spawn point ignoring the player, then resume patrolling
+    static updateReturnHome(engine, entity, deltaTime) {
+        const ai = entity.ai;
+
+        if (Enemy.navigateTo(engine, entity, ai.home, ai.speed, deltaTime) < Enemy.arriveDistance) {
+            ai.patrolIndex = 0;
+            Enemy.setState(engine, entity, ai.patrol.length > 0 ? 'patrol' : 'idle');
+        }
+    }
+
+    // Walk towards a point along a path around obstacles; returns the horizontal distance left
+    static navigateTo(engine, entity, target, speed, deltaTime) {
+        const ai = entity.ai;
+
+        // Flyers go over everything that would need a path
+        if (ai.flying) {
+            return Enemy.moveTowards(engine, entity, target, speed, deltaTime);
+        }
+
+        // Search again every so often (targets move and enemies get pushed around),
+        // and straight away when the target has moved far from where the path ends
+        if (!ai.path ||
+            engine.simTime - ai.pathTime > Navigation.repathInterval ||
+            Enemy.horizontalDistance(ai.pathGoal, target) > Navigation.repathDistance) {
+            ai.path = Navigation.findPath(engine, entity.position, target);
+            ai.pathGoal.copy(target);
+            ai.pathTime = engine.simTime;
+        }
+
+        // Move on to the next waypoint once this one is reached
+        while (ai.path.length > 1 && Enemy.horizontalDistance(entity.position, ai.path[0]) < Enemy.arriveDistance) {
+            ai.path.shift();
+        }
+
+        // The last waypoint is where the path was found for - head for where the target is now
+        const waypoint = ai.path.length > 1 ? ai.path[0] : target;
+        Enemy.moveTowards(engine, entity, waypoint, speed, deltaTime);
+
+        return Enemy.horizontalDistance(entity.position, target);
+    }
+
+    // Walk straight towards a point on the ground, facing it; returns the horizontal distance left
+    static moveTowards(engine, entity, target, speed, deltaTime) {
+        const ai = entity.ai;
+        const enemy = entity.transform.object;
+        const direction = new THREE.Vector3(target.x - enemy.position.x, 0, target.z - enemy.position.z);
+        const distance = direction.length();
+        if (distance < 0.001) return 0;
+
+        // Don't overshoot the target
+        const movement = direction.multiplyScalar(Math.min(speed * deltaTime, distance) / distance);
+
+        // Wobble from side to side
+        if (ai.weave > 0) {
+            const sideways = new THREE.Vector3(-movement.z, 0, movement.x).normalize();
+            movement.addScaledVector(sideways, Math.sin(ai.walkTime) * ai.weave * deltaTime);
+        }
+
+        // Apply movement on horizontal plane only, sliding around obstacles; flyers ignore slopes
+        if (!ai.flying) {
+            Terrain.limitSlope(engine, enemy.position, movement);
+        }
+        Collision.move(engine, entity, movement);
+
+        // Stay on the ground, or at hover height above it
+        enemy.position.y = Terrain.heightAt(engine, enemy.position.x, enemy.position.z) + ai.groundOffset;
+
+        // Face where we're going
+        enemy.lookAt(target.x, enemy.position.y, target.z);
+
+        ai.moving = true;
+
+        return Enemy.horizontalDistance(enemy.position, target);
+    }
+
+    // Face the player and follow them with the eyes
+    static watchPlayer(engine, entity) {
+        const enemy = entity.transform.object;
+
+        enemy.lookAt(engine.player.position.x, enemy.position.y, engine.player.position.z);
+
+        entity.renderable.parts.eyes.forEach(eye => eye.lookAt(engine.player.position));
+    }
+
+    // Flash the eyes red briefly
+    static flashEyes(engine, entity) {
+        const enemy = entity.transform.object;
+
+        // Eyes may share a material - flash each material once
+        const materials = new Set(entity.renderable.parts.eyes.map(eye => eye.material));
+        materials.forEach(material => {
+            const originalColor = material.color.clone();
+            material.color.set(0xff0000);
+            Tween.delay(engine, 0.3, () => {
+                material.color.copy(originalColor);
+            }, enemy);
         });
-        
-        const leftHorn = new THREE.Mesh(hornGeometry, hornMaterial);
-        leftHorn.position.set(-0.25, 0.4, -0.1);
-        leftHorn.rotation.x = -Math.PI / 6;
-        leftHorn.rotation.z = -Math.PI / 6;
-        body.add(leftHorn);
-        
-        const rightHorn = new THREE.Mesh(hornGeometry, hornMaterial);
-        rightHorn.position.set(0.25, 0.4, -0.1);
-        rightHorn.rotation.x = -Math.PI / 6;
-        rightHorn.rotation.z = Math.PI / 6;
-        body.add(rightHorn);
-
-        // Store references to animate legs
-        enemy.body = body;
-        enemy.leftLeg = leftLeg;
-        enemy.rightLeg = rightLeg;
-        enemy.walkTime = 0; // For animation timing
-        
-        // Enemy properties
-        enemy.speed = 2;
-        enemy.attackRange = 1.5;
-        enemy.type = 'enemy';
-        enemy.maxDetectionRange = 10;
-        enemy.aggro = false;
-        enemy.lastAttackTime = 0;
-        enemy.attackCooldown = 2; // seconds
-
-        engine.scene.add(enemy);
-        engine.enemies.push(enemy);
-
-        return enemy;
-    }
-
-    // Update all enemies
-    static update(engine, deltaTime) {
-        engine.enemies.forEach(enemy => {
-            // Get distance to player
-            const distanceToPlayer = enemy.position.distanceTo(engine.player.position);
-
-            // Enemy AI behavior
-            if (distanceToPlayer < enemy.maxDetectionRange) {
-                enemy.aggro = true;
-
-                // Move towards player if not in attack range
-                if (distanceToPlayer > enemy.attackRange) {
-                    const direction = new THREE.Vector3()
-                        .subVectors(engine.player.position, enemy.position)
-                        .normalize();
-                    direction.y = 0;
-
-                    const movement = direction.multiplyScalar(enemy.speed * deltaTime);
-                    
-                    // Apply movement on horizontal plane only
-                    enemy.position.x += movement.x;
-                    enemy.position.z += movement.z;
-                    
-                    // Ensure enemy stays at proper height
-                    enemy.position.y = Math.max(enemy.position.y, 0.8);
-
-                    // Face the player
-                    const lookPos = new THREE.Vector3(
-                        engine.player.position.x,
-                        enemy.position.y,
-                        engine.player.position.z
-                    );
-                    enemy.lookAt(lookPos);
-                    
-                    // Animate legs when moving
-                    if (enemy.leftLeg && enemy.rightLeg) {
-                        // Update animation time
-                        enemy.walkTime += deltaTime * 5; // Control animation speed
-                        
-                        // Create a shuffling animation by moving legs up and down in alternating pattern
-                        const leftLegHeight = Math.sin(enemy.walkTime) * 0.2;
-                        const rightLegHeight = Math.sin(enemy.walkTime + Math.PI) * 0.2; // Opposite phase
-                        
-                        // Apply leg movement
-                        enemy.leftLeg.position.y = -0.6 + leftLegHeight;
-                        enemy.rightLeg.position.y = -0.6 + rightLegHeight;
-                        
-                        // Add slight side-to-side motion for leg shuffling effect
-                        const sideSway = Math.sin(enemy.walkTime) * 0.05;
-                        enemy.leftLeg.position.x = -0.3 - sideSway;
-                        enemy.rightLeg.position.x = 0.3 + sideSway;
-                        
-                        // Small bounce effect for the whole body
-                        if (enemy.body) {
-                            enemy.body.position.y = Math.abs(Math.sin(enemy.walkTime * 2)) * 0.05;
-                        }
-                    }
-                } else {
-                    // Attack player if in range and cooldown is over
-                    const currentTime = engine.clock.getElapsedTime();
-                    if (currentTime - enemy.lastAttackTime > enemy.attackCooldown) {
-                        Player.takeDamage(engine, 1);
-                        enemy.lastAttackTime = currentTime;
-                        
-                        // Animate attack by moving forward slightly
-                        if (enemy.body) {
-                            const attackDirection = new THREE.Vector3()
-                                .subVectors(engine.player.position, enemy.position)
-                                .normalize()
-                                .multiplyScalar(0.2);
-                            
-                            // Quick forward lunge animation
-                            const startPosition = enemy.body.position.clone();
-                            const endPosition = startPosition.clone().add(attackDirection);
-                            
-                            // Create a simple animation sequence
-                            const animateAttack = (progress) => {
-                                if (progress < 0.5) {
-                                    // Move forward
-                                    const t = progress * 2; // Scale to 0-1 for first half
-                                    enemy.body.position.copy(startPosition).lerp(endPosition, engine.easeOutQuad(t));
-                                } else {
-                                    // Move back
-                                    const t = (progress - 0.5) * 2; // Scale to 0-1 for second half
-                                    enemy.body.position.copy(endPosition).lerp(startPosition, engine.easeInOutQuad(t));
-                                }
-                                
-                                if (progress < 1) {
-                                    setTimeout(() => animateAttack(progress + 0.1), 20);
-                                }
-                            };
-                            
-                            animateAttack(0);
-                        }
-                    }
-                    
-                    // Keep legs in place when not moving
-                    if (enemy.leftLeg && enemy.rightLeg) {
-                        enemy.leftLeg.position.y = -0.6;
-                        enemy.rightLeg.position.y = -0.6;
-                        enemy.leftLeg.position.x = -0.3;
-                        enemy.rightLeg.position.x = 0.3;
-                    }
-                }
-            } else {
-                enemy.aggro = false;
-                
-                // Reset leg positions when not aggro
-                if (enemy.leftLeg && enemy.rightLeg) {
-                    enemy.leftLeg.position.y = -0.6;
-                    enemy.rightLeg.position.y = -0.6;
-                    enemy.leftLeg.position.x = -0.3;
-                    enemy.rightLeg.position.x = 0.3;
-                    
-                    if (enemy.body) {
-                        enemy.body.position.y = 0;
-                    }
-                }
+    }
+
+    // Animate an attack by lunging the body towards the player
+    static lunge(engine, entity) {
+        const enemy = entity.transform.object;
+        const { body } = entity.renderable.parts;
+
+        const attackDirection = new THREE.Vector3()
+            .subVectors(engine.player.position, enemy.position)
+            .normalize()
+            .multiplyScalar(0.2);
+
+        // Quick forward lunge animation
+        const startPosition = body.position.clone();
+        const endPosition = startPosition.clone().add(attackDirection);
+
+        // Move forward, then back
+        Tween.start(engine, {
+            duration: 0.1,
+            ease: 'easeOutQuad',
+            owner: enemy,
+            onUpdate: (t) => {
+                body.position.copy(startPosition).lerp(endPosition, t);
+            }
+        }).then({
+            duration: 0.1,
+            ease: 'easeInOutQuad',
+            onUpdate: (t) => {
+                body.position.copy(endPosition).lerp(startPosition, t);
             }
+        });
+    }
+
+    // Animate legs and wings for this step
+    static animate(engine, entity, deltaTime) {
+        const ai = entity.ai;
+        const { body, leftLeg, rightLeg, leftWing, rightWing } = entity.renderable.parts;
+
+        // Wings never stop flapping, and the body bobs with them
+        if (leftWing && rightWing) {
+            const flap = Math.sin(engine.simTime * 20 + entity.id) * 0.6;
+            leftWing.rotation.z = flap;
+            rightWing.rotation.z = flap;
+            body.position.y = body.userData.restPosition.y + Math.sin(engine.simTime * 3 + entity.id) * 0.15;
+        }
+
+        if (ai.moving) {
+            ai.walkTime += deltaTime * 5; // Control animation speed
+            if (leftLeg && rightLeg) Enemy.animateWalk(entity);
+        } else if (ai.wasMoving && leftLeg && rightLeg) {
+            Enemy.resetLegs(entity);
+        }
+
+        ai.wasMoving = ai.moving;
+    }
+
+    // Shuffle the legs while walking
+    static animateWalk(entity) {
+        const ai = entity.ai;
+        const { body, leftLeg, rightLeg } = entity.renderable.parts;
+        const leftRest = leftLeg.userData.restPosition;
+        const rightRest = rightLeg.userData.restPosition;
+
+        // Create a shuffling animation by moving legs up and down in alternating pattern
+        const leftLegHeight = Math.sin(ai.walkTime) * 0.2;
+        const rightLegHeight = Math.sin(ai.walkTime + Math.PI) * 0.2; // Opposite phase
+
+        // Apply leg movement
+        leftLeg.position.y = leftRest.y + leftLegHeight;
+        rightLeg.position.y = rightRest.y + rightLegHeight;
+
+        // Add slight side-to-side motion for leg shuffling effect
+        const sideSway = Math.sin(ai.walkTime) * 0.05;
+        leftLeg.position.x = leftRest.x - sideSway;
+        rightLeg.position.x = rightRest.x + sideSway;
+
+        // Small bounce effect for the whole body
+        body.position.y = body.userData.restPosition.y + Math.abs(Math.sin(ai.walkTime * 2)) * 0.05;
+    }
+
+    // Put the legs back in place when standing still
+    static resetLegs(entity) {
+        const { body, leftLeg, rightLeg } = entity.renderable.parts;
 
-            // Update enemy eyes to look at player
-            if (enemy.aggro && enemy.body) {
-                // Make the entire body face the player first
-                const lookPos = new THREE.Vector3(
-                    engine.player.position.x,
-                    enemy.position.y,
-                    engine.player.position.z
-                );
-                enemy.lookAt(lookPos);
-                
-                // Then fine-tune eye tracking
-                enemy.body.children.forEach(child => {
-                    if (child.children.length > 0 && child.name !== "mouth") {
-                        child.lookAt(engine.player.position);
-                    }
-                });
-                
-                // Add an "alert" behavior when first spotting the player
-                if (!enemy.wasAggro && enemy.aggro) {
-                    // Flash the eyes red briefly
-                    const eyes = enemy.body.children.filter(c => c.children.length > 0);
-                    eyes.forEach(eye => {
-                        const originalColor = eye.material.color.clone();
-                        eye.material.color.set(0xff0000);
-                        setTimeout(() => {
-                            if (eye.material) { // Check if enemy still exists
-                                eye.material.color.copy(originalColor);
-                            }
-                        }, 300);
-                    });
-                }
+        leftLeg.position.copy(leftLeg.userData.restPosition);
+        rightLeg.position.copy(rightLeg.userData.restPosition);
+        body.position.y = body.userData.restPosition.y;
+    }
+
+    static distanceFromHome(entity) {
+        return Enemy.horizontalDistance(entity.position, entity.ai.home);
+    }
+
+    static horizontalDistance(a, b) {
+        const dx = a.x - b.x;
+        const dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    // Death handler - burst into particles and leave the level for good
+    static onDeath(engine, entity) {
+        const enemy = entity.transform.object;
+
+        // Remember the kill so the enemy stays gone when the zone is reloaded
+        if (entity.levelId) engine.defeatedEnemies.add(entity.levelId);
+
+        console.log("Enemy defeated!");
+
+        // Create death effect
+        Player.createDeathEffect(engine, enemy.position);
+
+        Enemy.dropLoot(engine, entity);
+
+        // Remove enemy after a short delay
+        Tween.delay(engine, 0.1, () => {
+            ECS.destroyEntity(engine, entity);
+
+            // If this was the targeted enemy, clear target lock
+            if (engine.currentTarget === entity) {
+                engine.targetLocked = false;
+                engine.currentTarget = null;
+                engine.reticle.style.display = 'none';
             }
-            
-            // Track aggro state changes
-            enemy.wasAggro = enemy.aggro;
         });
     }
+
+    // Roll the enemy type's drop table and throw whatever comes up out from where it fell
+    static dropLoot(engine, entity) {
+        Loot.drop(engine, entity.position, EnemyTypes.get(entity.ai.type).drops);
+    }
 }
 
+// Height of a blob's origin above the terrain surface - raised a bit to account for legs
+Enemy.groundOffset = 1.1;
+
+// Collision shape of a blob, also used to find where enemies can walk
+Enemy.shape = Collision.capsule(0.5, 1.4, -0.8);
+
+// Update function of each AI state
+Enemy.states = {
+    idle: Enemy.updateIdle,
+    patrol: Enemy.updatePatrol,
+    chase: Enemy.updateChase,
+    attack: Enemy.updateAttack,
+    investigate: Enemy.updateInvestigate,
+    flee: Enemy.updateFlee,
+    returnHome: Enemy.updateReturnHome,
+    stagger: Enemy.updateStagger,
+    stun: Enemy.updateStun
+};
+
+// States in which the enemy is already after the player (entering chase from these doesn't flash the eyes)
+Enemy.combatStates = ['chase', 'attack', 'investigate', 'stagger', 'stun'];
+
+// States in which the enemy is reeling and can't defend itself (shields included)
+Enemy.dazedStates = ['stagger', 'stun'];
+
+// How close to a waypoint counts as having reached it
+Enemy.arriveDistance = 0.3;
+
+// Horizontal speed of spat rocks, in units per second
+Enemy.spitSpeed = 10;
+
+// Downward acceleration of spat rocks
+Enemy.spitGravity = 9.8;
+
+// Seconds an enemy reels after its attack is parried
+Enemy.staggerDuration = 1.5;
+
+// Half-angle of the arc in front of a shielded enemy that blocks hits
+Enemy.shieldAngle = THREE.MathUtils.degToRad(60);
+
 // Export the Enemy class
 window.Enemy = Enemy;
\ No newline at end of file
@@ -4,143 +4,257 @@
  */
 
 class Environment {
-    // Setup the game world
-    static setup(engine) {
+    // Setup the game world from a level description (URL or object)
+    static setup(engine, levelSource) {
         engine.updateLoadingProgress(5);
 
-        // Ground
-        const groundGeometry = new THREE.PlaneGeometry(100, 100, 40, 40); // More segments for detail
+        // Create player - it persists across levels
+        engine.player = Player.create(engine);
 
-        // Add slight terrain variation
-        const vertices = groundGeometry.attributes.position.array;
-        for (let i = 0; i < vertices.length; i += 3) {
-            const x = vertices[i];
-            const z = vertices[i + 2];
+        // Hold the equipped sword and shield
+        Inventory.refreshEquipment(engine);
 
-            // Keep the center area flat for gameplay
-            const distFromCenter = Math.sqrt(x * x + z * z);
-            if (distFromCenter > 10) {
-                // Add subtle elevation
-                vertices[i + 1] = Math.sin(x * 0.1) * Math.cos(z * 0.1) * 0.5;
-            }
-        }
+        engine.updateLoadingProgress(15);
 
-        // Update normals for proper lighting
-        groundGeometry.computeVertexNormals();
+        // Create health, item button and wallet UI
+        UI.createHealth(engine);
+        UI.updateInventoryHud(engine);
 
-        const groundMaterial = new THREE.MeshStandardMaterial({
-            color: 0x567d46,
-            roughness: 0.8,
-            metalness: 0.2
+        return Environment.loadLevel(engine, levelSource).then(level => {
+            // Hide loading screen
+            setTimeout(() => {
+                engine.loadingScreen.style.display = 'none';
+            }, 500);
+
+            return level;
         });
-        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
-        ground.rotation.x = -Math.PI / 2;
-        ground.position.y = -0.3; // Lower the ground to avoid collision with player
-        ground.receiveShadow = true;
-        engine.scene.add(ground);
-
-        // Add grid for better orientation
-        const gridHelper = new THREE.GridHelper(100, 20, 0x000000, 0x333333);
-        gridHelper.position.y = 0.5; // Raised grid to match player's ground level
-        gridHelper.material.opacity = 0.15;
-        gridHelper.material.transparent = true;
-        engine.scene.add(gridHelper);
+    }
 
-        engine.updateLoadingProgress(15);
+    // Load a level and place the player at a spawn point
+    // spawn is either the name of one of the level's spawn points or { position, rotation }
+    // fetched is the level's data when it has already been fetched from levelSource
+    static loadLevel(engine, levelSource, spawn = 'default', fetched = null) {
+        const levelData = fetched ? Promise.resolve(fetched) : Environment.loadLevelData(levelSource);
+        return levelData.then(level => {
+            engine.level = level;
+            engine.levelSource = levelSource;
 
-        // Create player
-        engine.player = Player.create(engine);
+            // Entering a zone is a checkpoint
+            engine.checkpoint = { level: levelSource, spawn };
 
-        engine.updateLoadingProgress(30);
+            // All level objects live under one root so the level can be unloaded as a whole
+            engine.levelRoot = new THREE.Group();
+            engine.levelRoot.name = level.name;
+            engine.scene.add(engine.levelRoot);
 
-        // Create trees
-        Environment.createTree(engine, 5, 0, 15);
-        Environment.createTree(engine, -8, 0, 12);
-        Environment.createTree(engine, 12, 0, 20);
-        Environment.createTree(engine, -15, 0, 18);
-        Environment.createTree(engine, 0, 0, 25);
+            // Ground
+            Terrain.create(engine, level.terrain);
 
-        engine.updateLoadingProgress(50);
+            engine.updateLoadingProgress(30);
 
-        // Create a house
-        Environment.createHouse(engine, -20, 0, 15);
+            // Create static props (trees, houses, water, ...)
+            (level.props || []).forEach(prop => Environment.createProp(engine, prop));
 
-        engine.updateLoadingProgress(65);
+            engine.updateLoadingProgress(65);
 
-        // Create water
-        Environment.createWater(engine, 15, -0.5, -15);
+            // Create enemies that haven't been defeated yet
+            (level.enemies || []).forEach((enemyData, index) => {
+                const id = Environment.objectId(level, 'enemy', index, enemyData);
+                if (engine.defeatedEnemies.has(id)) return;
 
-        engine.updateLoadingProgress(75);
+                const [x, y, z] = enemyData.position;
+                const enemy = Enemy.create(engine, x, y, z, enemyData);
+                enemy.levelId = id;
+            });
+
+            engine.updateLoadingProgress(85);
 
-        // Create enemies
-        Enemy.create(engine, 10, 0, 10);
-        Enemy.create(engine, -10, 0, -10);
+            // Create interactables (collectibles, signs, ...), skipping hearts and items already collected
+            (level.interactables || []).forEach((interactable, index) => {
+                const id = Environment.objectId(level, interactable.type, index, interactable);
+                if (interactable.type === 'collectible' && engine.collectedHearts.has(id)) return;
+                if (interactable.type === 'item' && engine.collectedItems.has(id)) return;
 
-        engine.updateLoadingProgress(85);
+                Environment.createProp(engine, Object.assign({ id }, interactable));
+            });
 
-        // Create collectible
-        Environment.createCollectible(engine, 5, 0.5, -5);
+            engine.updateLoadingProgress(90);
 
-        engine.updateLoadingProgress(90);
+            // Add environmental details
+            Environment.createEnvironmentalDetails(engine, level.details || {});
 
-        // Create sign
-        Environment.createSign(engine, 3, 0, 3);
+            // Find where enemies can walk now that every obstacle is placed
+            Navigation.build(engine, Enemy.shape, Enemy.groundOffset);
 
-        // Add environmental details
-        Environment.createEnvironmentalDetails(engine);
+            // Move the player to the requested spawn point
+            Environment.placePlayerAtSpawn(engine, spawn);
 
-        engine.updateLoadingProgress(100);
+            engine.updateLoadingProgress(100);
 
-        // Create health UI
-        UI.createHealth(engine);
+            // Update location HUD
+            document.getElementById('location').textContent = `Location: ${level.name}`;
 
-        // Hide loading screen
-        setTimeout(() => {
-            engine.loadingScreen.style.display = 'none';
-        }, 500);
+            return level;
+        });
     }
 
-    // Create environmental details
-    static createEnvironmentalDetails(engine) {
-        // Create rocks
-        for (let i = 0; i < 20; i++) {
-            const x = (Math.random() - 0.5) * 80;
-            const z = (Math.random() - 0.5) * 80;
-            const size = 0.2 + Math.random() * 0.3;
+    // Remove everything that belongs to the current level
+    static unloadLevel(engine) {
+        if (!engine.levelRoot) return;
 
-            // Skip if too close to center (player start)
-            if (Math.sqrt(x*x + z*z) < 5) continue;
+        const levelRoot = engine.levelRoot;
+        engine.scene.remove(levelRoot);
 
-            Environment.createRock(engine, x, 0, z, size);
+        // Free GPU resources of the level's meshes
+        levelRoot.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.material) object.material.dispose();
+        });
+
+        // Forget the level's entities
+        engine.entities
+            .filter(entity => !entity.persistent)
+            .forEach(entity => ECS.destroyEntity(engine, entity));
+        engine.debugObjects = engine.debugObjects.filter(obj => !Environment.isInLevel(obj, levelRoot));
+
+        // Drop target lock on enemies that no longer exist
+        engine.targetLocked = false;
+        engine.currentTarget = null;
+        engine.reticle.style.display = 'none';
+
+        engine.levelRoot = null;
+        engine.level = null;
+        engine.terrain = null;
+        engine.navigation = null;
+    }
+
+    // Check whether an object is part of the given level root
+    static isInLevel(object, levelRoot) {
+        for (let current = object; current; current = current.parent) {
+            if (current === levelRoot) return true;
         }
+        return false;
+    }
 
-        // Create grass patches
-        for (let i = 0; i < 50; i++) {
-            const x = (Math.random() - 0.5) * 80;
-            const z = (Math.random() - 0.5) * 80;
+    // Resolve a level source into level data
+    // Accepts a URL to a JSON level file or an already parsed level object
+    static loadLevelData(levelSource) {
+        if (typeof levelSource === 'string') {
+            return fetch(levelSource).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load level "${levelSource}" (HTTP ${response.status})`);
+                }
+                return response.json();
+            }).then(level => Environment.validateLevel(level, levelSource));
+        }
+
+        return Promise.resolve(Environment.validateLevel(levelSource, 'inline level'));
+    }
+
+    // Check the parts of a level that the loader relies on
+    static validateLevel(level, label) {
+        if (!level || typeof level !== 'object') {
+            throw new Error(`Level ${label} is not an object`);
+        }
+        if (!level.name) {
+            throw new Error(`Level ${label} is missing a name`);
+        }
+        if (!level.spawnPoints || !level.spawnPoints.default) {
+            throw new Error(`Level ${label} is missing a default spawn point`);
+        }
+
+        return level;
+    }
 
-            // Skip if too close to center
-            if (Math.sqrt(x*x + z*z) < 5) continue;
+    // Stable id of a level object, used to remember it across zone changes and saves
+    static objectId(level, kind, index, data) {
+        return data.id || `${level.name}/${kind}-${index}`;
+    }
+
+    // Move the player to a named spawn point of the level, or to an explicit { position, rotation }
+    static placePlayerAtSpawn(engine, spawnName) {
+        const spawn = typeof spawnName === 'object'
+            ? spawnName
+            : engine.level.spawnPoints[spawnName] || engine.level.spawnPoints.default;
+        engine.player.position.fromArray(spawn.position);
+        engine.player.position.y = Terrain.heightAt(engine, engine.player.position.x, engine.player.position.z) + Player.groundOffset;
+        engine.player.rotation.set(0, spawn.rotation || 0, 0);
+        engine.player.velocity.set(0, 0, 0);
+        engine.player.onGround = true;
+    }
 
-            Environment.createGrassPatch(engine, x, 0, z);
+    // Create a prop or interactable from its level description
+    // Trees, rocks and grass sit on the terrain, with y as an offset above its surface
+    static createProp(engine, prop) {
+        const [x, y, z] = prop.position || [0, 0, 0];
+
+        switch (prop.type) {
+            case 'tree': return Environment.createTree(engine, x, y, z);
+            case 'house': return Environment.createHouse(engine, x, y, z, prop.door, prop.rotation);
+            case 'room': return Environment.createRoom(engine, x, y, z, prop.size, prop.doorWidth);
+            case 'table': return Environment.createTable(engine, x, y, z);
+            case 'water': return Environment.createWater(engine, x, y, z);
+            case 'rock': return Environment.createRock(engine, x, y, z, prop.size || 0.3, prop.breakable);
+            case 'hookTarget': return Environment.createHookTarget(engine, x, y, z, prop.rotation);
+            case 'grass': return Environment.createGrassPatch(engine, x, y, z);
+            case 'path': return Environment.createPath(engine, prop.points, prop.closed);
+            case 'collectible': return Environment.createCollectible(engine, x, y, z, prop.id);
+            case 'sign': return Environment.createSign(engine, x, y, z, prop.text);
+            case 'exit': return Environment.createExit(engine, x, y, z, prop);
+            case 'npc': return NPC.create(engine, x, y, z, prop);
+            case 'item': return Environment.createItemPickup(engine, x, y, z, prop.item, prop.count, prop.id);
+            case 'shopItem': return Environment.createShopItem(engine, x, y, z, prop.item, prop.count, prop.cost);
+            default:
+                console.warn(`Unknown level object type "${prop.type}"`);
+                return null;
+        }
+    }
+
+    // Create environmental details
+    static createEnvironmentalDetails(engine, details) {
+        // Create rocks
+        if (details.rocks) {
+            Environment.scatter(details.rocks, (x, z) => {
+                const size = 0.2 + Math.random() * 0.3;
+                Environment.createRock(engine, x, 0, z, size);
+            });
         }
 
-        // Create a path
-        Environment.createPath(engine);
+        // Create grass patches
+        if (details.grass) {
+            Environment.scatter(details.grass, (x, z) => {
+                Environment.createGrassPatch(engine, x, 0, z);
+            });
+        }
+    }
+
+    // Call create(x, z) at random points within range, skipping the clear area around the center
+    static scatter(settings, create) {
+        for (let i = 0; i < settings.count; i++) {
+            const x = (Math.random() - 0.5) * settings.range;
+            const z = (Math.random() - 0.5) * settings.range;
+
+            // Skip if too close to center (player start)
+            if (Math.sqrt(x*x + z*z) < settings.clearRadius) continue;
+
+            create(x, z);
+        }
     }
 
     // Create a rock
-    static createRock(engine, x, y, z, size) {
+    // breakable: bombs blow it up - only rocks big enough to be solid (size over 0.25) can be
+    static createRock(engine, x, y, z, size, breakable = false) {
         const rockGeometry = new THREE.DodecahedronGeometry(size, 1);
         const grayValue = 0.4 + Math.random() * 0.2;
         const rockMaterial = new THREE.MeshStandardMaterial({
-            color: new THREE.Color(grayValue, grayValue, grayValue),
+            // Breakable rocks are a cracked brown so they stand out
+            color: breakable ? new THREE.Color(0x8d6e63) : new THREE.Color(grayValue, grayValue, grayValue),
             roughness: 0.9,
             metalness: 0.1
         });
 
         const rock = new THREE.Mesh(rockGeometry, rockMaterial);
-        rock.position.set(x, y + size/2, z);
+        rock.position.set(x, Terrain.heightAt(engine, x, z) + y + size/2, z);
         rock.rotation.set(
             Math.random() * Math.PI,
             Math.random() * Math.PI,
@@ -150,21 +264,19 @@ class Environment {
         rock.castShadow = true;
         rock.receiveShadow = true;
 
-        engine.scene.add(rock);
+        engine.levelRoot.add(rock);
 
         // Add collision for rocks
         // Using a slightly smaller collision radius to allow player to step over small rocks
         const collisionRadius = size > 0.25 ? size * 0.8 : 0;
         
         if (collisionRadius > 0) {
-            const collisionData = {
-                object: rock,
-                type: 'rock',
-                position: new THREE.Vector3(x, y, z), // Add explicit position
-                radius: collisionRadius
-            };
-            
-            engine.collidables.push(collisionData);
+            const rockEntity = ECS.createEntity(engine, 'prop', Object.assign({
+                transform: Components.transform(rock),
+                renderable: Components.renderable(rock),
+                // Reduced radius lets the player move more freely
+                collider: Components.collider(Collision.circle(collisionRadius * 0.8, size * 2, -size))
+            }, breakable ? { breakable: Components.breakable(Environment.breakRock) } : {}));
             
             // Add visual debug if debug mode is on
             if (engine.debugMode) {
@@ -177,18 +289,34 @@ class Environment {
                 });
                 const debugMesh = new THREE.Mesh(debugGeometry, debugMaterial);
                 debugMesh.position.copy(rock.position);
-                engine.scene.add(debugMesh);
+                engine.levelRoot.add(debugMesh);
                 engine.debugObjects.push(debugMesh);
+                rockEntity.debugMesh = debugMesh; // Goes with the rock if it's blown up
             }
         }
 
         return rock;
     }
 
+    // Blow a breakable rock to rubble
+    static breakRock(engine, entity) {
+        Player.createDeathEffect(engine, entity.position);
+        Player.createFootstepDust(engine, entity.position.clone(), 3);
+        ECS.destroyEntity(engine, entity);
+
+        if (entity.debugMesh) {
+            engine.levelRoot.remove(entity.debugMesh);
+            engine.debugObjects = engine.debugObjects.filter(obj => obj !== entity.debugMesh);
+        }
+
+        // Enemies can walk and see through where it stood
+        Navigation.refresh(engine, entity.position, entity.collider.shape.radius);
+    }
+
     // Create grass patch
     static createGrassPatch(engine, x, y, z) {
         const patchGroup = new THREE.Group();
-        patchGroup.position.set(x, y, z);
+        patchGroup.position.set(x, Terrain.heightAt(engine, x, z) + y, z);
 
         const bladeCount = 5 + Math.floor(Math.random() * 7);
 
@@ -228,29 +356,17 @@ class Environment {
             blade.userData.windFactor = 0.5 + Math.random() * 0.5;
         }
 
-        engine.scene.add(patchGroup);
+        engine.levelRoot.add(patchGroup);
         return patchGroup;
     }
 
-    // Create a path
-    static createPath(engine) {
-        // Create a winding path with points - all points much lower to avoid player collision
-        const pathPoints = [
-            new THREE.Vector3(0, -0.1, 0),      // Lower path vertices
-            new THREE.Vector3(5, -0.1, 5),
-            new THREE.Vector3(10, -0.1, 0),
-            new THREE.Vector3(15, -0.1, -5),
-            new THREE.Vector3(10, -0.1, -10),
-            new THREE.Vector3(0, -0.1, -15),
-            new THREE.Vector3(-10, -0.1, -10),
-            new THREE.Vector3(-15, -0.1, 0),
-            new THREE.Vector3(-10, -0.1, 10),
-            new THREE.Vector3(0, -0.1, 15)
-        ];
+    // Create a path through a list of [x, y, z] points
+    static createPath(engine, points, closed = true) {
+        const pathPoints = points.map(point => new THREE.Vector3().fromArray(point));
 
         // Create a smooth curve
         const curve = new THREE.CatmullRomCurve3(pathPoints);
-        curve.closed = true;
+        curve.closed = closed;
 
         // Create the path geometry - smaller radius
         const pathGeometry = new THREE.TubeGeometry(curve, 100, 0.4, 8, false);
@@ -262,7 +378,7 @@ class Environment {
 
         const path = new THREE.Mesh(pathGeometry, pathMaterial);
         path.receiveShadow = true;
-        engine.scene.add(path);
+        engine.levelRoot.add(path);
 
         return path;
     }
@@ -270,7 +386,7 @@ class Environment {
     // Create a tree
     static createTree(engine, x, y, z) {
         const treeGroup = new THREE.Group();
-        treeGroup.position.set(x, y, z);
+        treeGroup.position.set(x, Terrain.heightAt(engine, x, z) + y, z);
 
         // Tree trunk
         const trunkGeometry = new THREE.CylinderGeometry(0.4, 0.6, 2, 8);
@@ -288,18 +404,18 @@ class Environment {
         leaves.castShadow = true;
         treeGroup.add(leaves);
 
-        engine.scene.add(treeGroup);
+        engine.levelRoot.add(treeGroup);
 
         // Add collision detection for tree
         const collisionRadius = 0.8;
-        const collisionData = {
-            object: treeGroup,
-            type: 'tree',
-            position: new THREE.Vector3(x, y, z),
-            radius: collisionRadius  // Collision radius
-        };
-        
-        engine.collidables.push(collisionData);
+        ECS.createEntity(engine, 'prop', {
+            transform: Components.transform(treeGroup),
+            renderable: Components.renderable(treeGroup),
+            // Only the trunk blocks; reduced radius lets the player move more freely
+            collider: Components.collider(Collision.circle(collisionRadius * 0.8, 6), {
+                layer: Collision.layers.world | Collision.layers.hookable
+            })
+        });
         
         // Add visual debug if debug mode is on
         if (engine.debugMode) {
@@ -311,18 +427,60 @@ class Environment {
                 opacity: 0.5
             });
             const debugMesh = new THREE.Mesh(debugGeometry, debugMaterial);
-            debugMesh.position.set(x, 1, z);
-            engine.scene.add(debugMesh);
+            debugMesh.position.set(x, treeGroup.position.y + 1, z);
+            engine.levelRoot.add(debugMesh);
             engine.debugObjects.push(debugMesh);
         }
 
         return treeGroup;
     }
 
+    // Create a wooden post with a target on it for the hookshot to latch onto
+    // rotation: turn around the Y axis in radians, the target faces +z
+    static createHookTarget(engine, x, y, z, rotation = 0) {
+        const targetGroup = new THREE.Group();
+        targetGroup.position.set(x, Terrain.heightAt(engine, x, z) + y, z);
+        targetGroup.rotation.y = rotation;
+
+        const post = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.15, 0.2, 2.2, 8),
+            new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.9 })
+        );
+        post.position.y = 1.1;
+        post.castShadow = true;
+        targetGroup.add(post);
+
+        // Red and white rings on a board
+        [[0.35, 0xecf0f1], [0.25, 0xc0392b], [0.12, 0xecf0f1]].forEach(([radius, color], index) => {
+            const ring = new THREE.Mesh(
+                new THREE.CylinderGeometry(radius, radius, 0.04, 16),
+                new THREE.MeshStandardMaterial({ color })
+            );
+            ring.rotation.x = Math.PI / 2;
+            ring.position.set(0, 1.5, 0.17 + index * 0.01);
+            targetGroup.add(ring);
+        });
+
+        engine.levelRoot.add(targetGroup);
+
+        ECS.createEntity(engine, 'prop', {
+            transform: Components.transform(targetGroup),
+            renderable: Components.renderable(targetGroup),
+            collider: Components.collider(Collision.circle(0.35, 2.2), {
+                layer: Collision.layers.world | Collision.layers.hookable
+            })
+        });
+
+        return targetGroup;
+    }
+
     // Create a house
-    static createHouse(engine, x, y, z) {
+    // door: optional { level, spawn } describing where the front door leads
+    // rotation: turn around the Y axis in radians
+    static createHouse(engine, x, y, z, door, rotation = 0) {
         const houseGroup = new THREE.Group();
         houseGroup.position.set(x, y, z);
+        houseGroup.rotation.y = rotation;
 
         // House base
         const baseGeometry = new THREE.BoxGeometry(6, 3, 5);
@@ -348,9 +506,9 @@ class Environment {
             color: 0x8B4513,
             side: THREE.DoubleSide
         });
-        const door = new THREE.Mesh(doorGeometry, doorMaterial);
-        door.position.set(0, 0.5, 2.51);
-        houseGroup.add(door);
+        const doorMesh = new THREE.Mesh(doorGeometry, doorMaterial);
+        doorMesh.position.set(0, 0.5, 2.51);
+        houseGroup.add(doorMesh);
 
         // Windows
         const windowGeometry = new THREE.PlaneGeometry(1, 1);
@@ -370,30 +528,119 @@ class Environment {
         houseGroup.add(window2);
 
         // Make the house interactable
-        const interactBox = new THREE.Box3().setFromObject(door);
+        houseGroup.updateMatrixWorld(true); // Box must be computed in world space
+        const interactBox = new THREE.Box3().setFromObject(doorMesh);
         interactBox.expandByScalar(1);
-        engine.interactables.push({
-            object: door,
-            box: interactBox,
-            type: 'door',
-            action: () => {
-                alert('You entered the house!');
-            }
+        ECS.createEntity(engine, 'door', {
+            transform: Components.transform(doorMesh),
+            interactable: Components.interactable('door', interactBox, () => {
+                if (door) {
+                    Zone.enter(engine, door.level, door.spawn);
+                } else {
+                    Dialogue.start(engine, 'The door is locked.');
+                }
+            })
         });
 
-        engine.scene.add(houseGroup);
+        engine.levelRoot.add(houseGroup);
 
         // Add collision for house
-        engine.collidables.push({
-            object: houseGroup,
-            type: 'house',
-            position: new THREE.Vector3(x, y, z),
-            size: new THREE.Vector3(6, 3, 5) // Size of the house box
+        ECS.createEntity(engine, 'prop', {
+            transform: Components.transform(houseGroup),
+            renderable: Components.renderable(houseGroup),
+            collider: Components.collider(Collision.obb(new THREE.Vector3(6, 3, 5), 0)) // Size of the house box
         });
 
         return houseGroup;
     }
 
+    // Create the walls of an interior room with a doorway in the south (+Z) wall
+    static createRoom(engine, x, y, z, size, doorWidth = 1.5) {
+        const [width, height, depth] = size;
+        const thickness = 0.3;
+        const sideWidth = (width - doorWidth) / 2;
+
+        // North, west and east walls
+        Environment.createWall(engine, x, y, z - depth / 2, width, height, thickness);
+        Environment.createWall(engine, x - width / 2, y, z, thickness, height, depth);
+        Environment.createWall(engine, x + width / 2, y, z, thickness, height, depth);
+
+        // South wall is split in two around the doorway
+        Environment.createWall(engine, x - (doorWidth + sideWidth) / 2, y, z + depth / 2, sideWidth, height, thickness);
+        Environment.createWall(engine, x + (doorWidth + sideWidth) / 2, y, z + depth / 2, sideWidth, height, thickness);
+    }
+
+    // Create a solid wall segment
+    static createWall(engine, x, y, z, width, height, depth) {
+        const wallGeometry = new THREE.BoxGeometry(width, height, depth);
+        const wallMaterial = new THREE.MeshStandardMaterial({ color: 0xD2B48C });
+        const wall = new THREE.Mesh(wallGeometry, wallMaterial);
+        wall.position.set(x, y + height / 2, z);
+        wall.castShadow = true;
+        wall.receiveShadow = true;
+        engine.levelRoot.add(wall);
+
+        // Walls never turn, so an axis-aligned box is enough
+        ECS.createEntity(engine, 'prop', {
+            transform: Components.transform(wall),
+            renderable: Components.renderable(wall),
+            collider: Components.collider(Collision.aabb(new THREE.Vector3(width, height, depth)))
+        });
+
+        return wall;
+    }
+
+    // Create a table
+    static createTable(engine, x, y, z) {
+        const tableGroup = new THREE.Group();
+        tableGroup.position.set(x, y, z);
+
+        const woodMaterial = new THREE.MeshStandardMaterial({ color: 0x8B4513 });
+
+        // Table top
+        const topGeometry = new THREE.BoxGeometry(1.6, 0.1, 1);
+        const top = new THREE.Mesh(topGeometry, woodMaterial);
+        top.position.y = 0.8;
+        top.castShadow = true;
+        tableGroup.add(top);
+
+        // Legs
+        const legGeometry = new THREE.BoxGeometry(0.1, 0.8, 0.1);
+        [[-0.7, -0.4], [0.7, -0.4], [-0.7, 0.4], [0.7, 0.4]].forEach(([legX, legZ]) => {
+            const leg = new THREE.Mesh(legGeometry, woodMaterial);
+            leg.position.set(legX, 0.4, legZ);
+            leg.castShadow = true;
+            tableGroup.add(leg);
+        });
+
+        engine.levelRoot.add(tableGroup);
+
+        ECS.createEntity(engine, 'prop', {
+            transform: Components.transform(tableGroup),
+            renderable: Components.renderable(tableGroup),
+            collider: Components.collider(Collision.aabb(new THREE.Vector3(1.6, 0.85, 1), 0))
+        });
+
+        return tableGroup;
+    }
+
+    // Create an invisible exit that moves the player to another level when walked into
+    static createExit(engine, x, y, z, exit) {
+        const [width, height, depth] = exit.size || [1.5, 2, 1];
+        const exitBox = new THREE.Box3(
+            new THREE.Vector3(x - width / 2, y, z - depth / 2),
+            new THREE.Vector3(x + width / 2, y + height, z + depth / 2)
+        );
+
+        ECS.createEntity(engine, 'exit', {
+            interactable: Components.interactable('exit', exitBox, () => {
+                Zone.enter(engine, exit.level, exit.spawn);
+            })
+        });
+
+        return exitBox;
+    }
+
     // Create water
     static createWater(engine, x, y, z) {
         const waterGeometry = new THREE.BoxGeometry(20, 0.5, 20);
@@ -404,17 +651,18 @@ class Environment {
         });
         const water = new THREE.Mesh(waterGeometry, waterMaterial);
         water.position.set(x, y, z);
-        engine.scene.add(water);
+        engine.levelRoot.add(water);
 
         return water;
     }
 
     // Create a collectible heart
-    static createCollectible(engine, x, y, z) {
+    // id: optional level object id, remembered once the heart is collected
+    static createCollectible(engine, x, y, z, id) {
         const collectibleGroup = new THREE.Group();
         collectibleGroup.position.set(x, y, z);
 
-        // Collectible base (heart container)
+        // Collectible base (a heart)
         const heartGeometry = new THREE.SphereGeometry(0.4, 16, 16);
         const heartMaterial = new THREE.MeshStandardMaterial({
             color: 0xFF0000,
@@ -432,35 +680,128 @@ class Environment {
         heart.userData.time = 0;
 
         collectibleGroup.add(heart);
-        engine.scene.add(collectibleGroup);
+        engine.levelRoot.add(collectibleGroup);
 
         // Make it interactable
+        collectibleGroup.updateMatrixWorld(true); // Box must be computed in world space
         const interactBox = new THREE.Box3().setFromObject(heart);
         interactBox.expandByScalar(1);
-        engine.interactables.push({
-            object: heart,
-            box: interactBox,
-            type: 'collectible',
-            action: () => {
-                if (engine.playerHealth < engine.maxHealth) {
-                    engine.playerHealth++;
-                    UI.updateHealth(engine);
-                    engine.scene.remove(collectibleGroup);
-
-                    // Remove from interactables
-                    const index = engine.interactables.findIndex(i => i.object === heart);
-                    if (index > -1) {
-                        engine.interactables.splice(index, 1);
-                    }
+        const collectible = ECS.createEntity(engine, 'collectible', {
+            transform: Components.transform(collectibleGroup),
+            renderable: Components.renderable(collectibleGroup, { heart }),
+            interactable: Components.interactable('collectible', interactBox, () => {
+                if (Player.heal(engine, Player.healthPerHeart)) {
+                    if (id) engine.collectedHearts.add(id);
+                    ECS.destroyEntity(engine, collectible);
                 }
-            }
+            })
+        });
+
+        return collectible;
+    }
+
+    // Create an item lying in the world, floating above the terrain by y
+    // id: optional level object id, remembered once the item is taken
+    static createItemPickup(engine, x, y, z, name, count = 1, id) {
+        const item = Items.get(name);
+        if (!item) return null;
+
+        const pickupGroup = new THREE.Group();
+        pickupGroup.position.set(x, Terrain.heightAt(engine, x, z) + y, z);
+
+        // Stand the model upright whatever way it's held
+        const model = item.build(count);
+        model.position.set(0, 0, 0);
+        model.rotation.set(0, 0, 0);
+        model.traverse(object => {
+            object.castShadow = true;
         });
+        pickupGroup.add(model);
+        engine.levelRoot.add(pickupGroup);
 
-        return collectibleGroup;
+        // Make it interactable
+        pickupGroup.updateMatrixWorld(true); // Box must be computed in world space
+        const interactBox = new THREE.Box3().setFromObject(model);
+        interactBox.expandByScalar(1);
+        const pickup = ECS.createEntity(engine, 'item', {
+            transform: Components.transform(pickupGroup),
+            renderable: Components.renderable(pickupGroup, { model }),
+            interactable: Components.interactable('item', interactBox, () => {
+                const added = Inventory.add(engine, name, count);
+                if (added === 0) {
+                    Dialogue.start(engine, item.fullText || (item.max > 1
+                        ? `You can't carry any more ${item.label.toLowerCase()}.`
+                        : `You already have the ${item.label}.`));
+                    return;
+                }
+
+                if (id) engine.collectedItems.add(id);
+                ECS.destroyEntity(engine, pickup);
+                Dialogue.start(engine, [
+                    item.max > 1 ? `You got ${added} ${item.label.toLowerCase()}!` : `You got the ${item.label}!`,
+                    item.description
+                ].filter(page => page));
+            })
+        });
+
+        return pickup;
+    }
+
+    // Create an item for sale that stays in stock; cost is { item: amount } (see Inventory.buy)
+    static createShopItem(engine, x, y, z, name, count = 1, cost = {}) {
+        const item = Items.get(name);
+        if (!item) return null;
+
+        const shopGroup = new THREE.Group();
+        shopGroup.position.set(x, Terrain.heightAt(engine, x, z) + y, z);
+
+        const model = item.build(count);
+        model.position.set(0, 0, 0);
+        model.rotation.set(0, 0, 0);
+        model.traverse(object => {
+            object.castShadow = true;
+        });
+        shopGroup.add(model);
+        engine.levelRoot.add(shopGroup);
+
+        const goods = item.max > 1 ? `${count} ${item.label.toLowerCase()}` : `the ${item.label}`;
+        const price = Object.keys(cost)
+            .map(payment => `${cost[payment]} ${Items.get(payment).label.toLowerCase()}`)
+            .join(' and ');
+        const replies = {
+            bought: `Thank you! You got ${goods}.`,
+            full: item.fullText || (item.max > 1
+                ? `You can't carry any more ${item.label.toLowerCase()}.`
+                : `You already have the ${item.label}.`),
+            short: `You don't have ${price}.`
+        };
+
+        // Ask before buying, then say how it went
+        shopGroup.updateMatrixWorld(true); // Box must be computed in world space
+        const interactBox = new THREE.Box3().setFromObject(model);
+        interactBox.expandByScalar(0.5);
+        return ECS.createEntity(engine, 'shopItem', {
+            transform: Components.transform(shopGroup),
+            renderable: Components.renderable(shopGroup, { model }),
+            interactable: Components.interactable('shop', interactBox, () => {
+                let outcome = null;
+                Dialogue.start(engine, {
+                    pages: [`Buy ${goods} for ${price}?`],
+                    choices: [
+                        { text: 'Buy', onChoose: () => { outcome = Inventory.buy(engine, name, count, cost); } },
+                        { text: 'No thanks' }
+                    ]
+                }, {
+                    onEnd: () => {
+                        if (outcome) Dialogue.start(engine, replies[outcome]);
+                    }
+                });
+            })
+        });
     }
 
     // Create a sign
-    static createSign(engine, x, y, z) {
+    static createSign(engine, x, y, z, text) {
         const signGroup = new THREE.Group();
         signGroup.position.set(x, y, z);
 
@@ -480,58 +821,57 @@ class Environment {
         board.castShadow = true;
         signGroup.add(board);
 
-        engine.scene.add(signGroup);
+        engine.levelRoot.add(signGroup);
 
         // Make it interactable
+        signGroup.updateMatrixWorld(true); // Box must be computed in world space
         const interactBox = new THREE.Box3().setFromObject(board);
         interactBox.expandByScalar(0.5);
-        engine.interactables.push({
-            object: board,
-            box: interactBox,
-            type: 'sign',
-            action: () => {
-                alert('Welcome to Hyrule Field! Watch out for enemies!');
-            }
-        });
 
-        // Add collision for sign
-        engine.collidables.push({
-            object: signGroup,
-            type: 'sign',
-            position: new THREE.Vector3(x, y, z),
-            radius: 0.5
+        // A sign is both solid and readable
+        return ECS.createEntity(engine, 'sign', {
+            transform: Components.transform(signGroup),
+            renderable: Components.renderable(signGroup),
+            collider: Components.collider(Collision.circle(0.4, 1.35)),
+            interactable: Components.interactable('sign', interactBox, () => {
+                Dialogue.start(engine, text);
+            })
         });
-
-        return signGroup;
     }
 
-    // Update collectibles
-    static updateCollectibles(engine, deltaTime) {
-        engine.interactables.forEach(interactable => {
-            if (interactable.type === 'collectible') {
-                const collectible = interactable.object;
-
-                // Update float animation
-                collectible.userData.time += deltaTime;
-                collectible.position.y = collectible.userData.originalY +
-                    Math.sin(collectible.userData.time * collectible.userData.floatSpeed) *
-                    collectible.userData.floatHeight;
-
-                // Update rotation
-                collectible.rotation.y += collectible.userData.rotationSpeed;
-
-                // Add pulsing glow effect
-                const pulseIntensity = (Math.sin(collectible.userData.time * 3) * 0.25) + 0.75;
-                collectible.material.emissiveIntensity = pulseIntensity;
-
-                // Check for proximity to player for visual feedback
-                const distanceToPlayer = engine.player.position.distanceTo(collectible.parent.position);
-                if (distanceToPlayer < 3) {
-                    // Speed up rotation and pulse when player is near
-                    collectible.rotation.y += collectible.userData.rotationSpeed * 2;
-                }
-            }
-        });
+    // Collectible system - float, spin and pulse collectibles
+    static updateCollectible(engine, entity, deltaTime) {
+        // Item pickups and goods for sale turn slowly and bob
+        if (entity.interactable.type === 'item' || entity.interactable.type === 'shop') {
+            const model = entity.renderable.parts.model;
+            model.rotation.y += deltaTime;
+            model.position.y = Math.sin(engine.simTime * 2) * 0.1;
+            return;
+        }
+
+        if (entity.interactable.type !== 'collectible') return;
+
+        const collectible = entity.renderable.parts.heart;
+
+        // Update float animation
+        collectible.userData.time += deltaTime;
+        collectible.position.y = collectible.userData.originalY +
+            Math.sin(collectible.userData.time * collectible.userData.floatSpeed) *
+            collectible.userData.floatHeight;
+
+        // Update rotation
+        collectible.rotation.y += collectible.userData.rotationSpeed;
+
+        // Add pulsing glow effect
+        const pulseIntensity = (Math.sin(collectible.userData.time * 3) * 0.25) + 0.75;
+        collectible.material.emissiveIntensity = pulseIntensity;
+
+        // Check for proximity to player for visual feedback
+        const distanceToPlayer = engine.player.position.distanceTo(entity.position);
+        if (distanceToPlayer < 3) {
+            // Speed up rotation and pulse when player is near
+            collectible.rotation.y += collectible.userData.rotationSpeed * 2;
+        }
     }
 
     // Update environment elements
@@ -540,7 +880,7 @@ class Environment {
         engine.scene.traverse(object => {
             if (object.userData && object.userData.type === 'grass') {
                 // Simple wind effect
-                const time = performance.now() * 0.001;
+                const time = engine.simTime;
                 const windStrength = 0.03;
                 const windFrequency = 1;
 
@@ -0,0 +1,135 @@
+/**
+ * Gamepad module for the Zelda-like 3D Game Engine
+ * Contains gamepad input through the Gamepad API
+ *
+ * Pads are polled once per simulation step. Buttons are physical inputs of the Input
+ * action map ('pad:0', 'pad:1', ...), the left stick gives analog movement and the right
+ * stick orbits the camera. Named GamepadInput because the browser already owns Gamepad.
+ */
+
+class GamepadInput {
+    // Setup gamepad state and hot-plug detection
+    static setup(engine) {
+        engine.gamepad = {
+            index: null, // Index of the active pad in navigator.getGamepads()
+            buttons: [] // Pressed state of each button during the last poll
+        };
+
+        window.addEventListener('gamepadconnected', (e) => {
+            if (engine.gamepad.index === null) {
+                GamepadInput.connect(engine, e.gamepad);
+            }
+        });
+
+        window.addEventListener('gamepaddisconnected', (e) => {
+            if (e.gamepad.index === engine.gamepad.index) {
+                GamepadInput.disconnect(engine);
+            }
+        });
+    }
+
+    // Start reading from a pad
+    static connect(engine, pad) {
+        engine.gamepad.index = pad.index;
+        engine.gamepad.buttons = pad.buttons.map(button => GamepadInput.isPressed(button));
+        console.log(`Gamepad connected: ${pad.id}`);
+    }
+
+    // Stop reading from the active pad and release everything it was holding
+    static disconnect(engine) {
+        console.log('Gamepad disconnected');
+        engine.gamepad.index = null;
+        engine.gamepad.buttons = [];
+        Input.setMoveAxis(engine, 'gamepad', 0, 0);
+        Input.releaseAll(engine, 'pad:');
+    }
+
+    // The active pad, picking up any connected one if there's none yet
+    // (some browsers only report pads that were plugged in before the page loaded by polling)
+    static activePad(engine) {
+        if (!navigator.getGamepads) return null;
+
+        const pads = Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+
+        if (engine.gamepad.index !== null) {
+            const pad = pads.find(pad => pad.index === engine.gamepad.index);
+            if (pad) return pad;
+            GamepadInput.disconnect(engine);
+        }
+
+        if (pads.length > 0) {
+            GamepadInput.connect(engine, pads[0]);
+            return pads[0];
+        }
+
+        return null;
+    }
+
+    // Poll the pad and apply its input
+    static update(engine, deltaTime) {
+        const pad = GamepadInput.activePad(engine);
+        if (!pad) return;
+
+        // Buttons go through the action map on press and release
+        const pressed = pad.buttons.map(button => GamepadInput.isPressed(button));
+        const previous = engine.gamepad.buttons;
+        engine.gamepad.buttons = pressed;
+
+        pressed.forEach((down, index) => {
+            if (down && !previous[index]) Input.press(engine, `pad:${index}`);
+            if (!down && previous[index]) Input.release(engine, `pad:${index}`);
+        });
+
+        // Sticks are ignored while a menu is open, the screen is fading or the player is down
+        if (engine.menuOpen || engine.transitioning || engine.playerState !== 'alive') {
+            Input.setMoveAxis(engine, 'gamepad', 0, 0);
+            return;
+        }
+
+        // Left stick - analog movement
+        const move = GamepadInput.applyDeadzone(pad.axes[0] || 0, pad.axes[1] || 0);
+        Input.setMoveAxis(engine, 'gamepad', move.x, move.y);
+
+        // Right stick - orbit the camera like dragging with the right mouse button
+        const look = GamepadInput.applyDeadzone(pad.axes[2] || 0, pad.axes[3] || 0);
+        if (!engine.targetLocked && (look.x !== 0 || look.y !== 0)) {
+            const controls = engine.mouseControls;
+            controls.cameraRotation.y -= look.x * GamepadInput.lookSpeed * deltaTime;
+            controls.cameraRotation.x -= look.y * GamepadInput.lookSpeed * deltaTime;
+
+            // Limit vertical rotation to prevent camera flipping
+            controls.cameraRotation.x = Math.max(
+                controls.minPolarAngle,
+                Math.min(controls.maxPolarAngle, controls.cameraRotation.x)
+            );
+        }
+    }
+
+    // Radial deadzone: ignore small tilts and rescale the rest so movement starts from zero
+    static applyDeadzone(x, y) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude < GamepadInput.deadzone) {
+            return { x: 0, y: 0 };
+        }
+
+        const scaled = Math.min((magnitude - GamepadInput.deadzone) / (1 - GamepadInput.deadzone), 1);
+        return { x: x / magnitude * scaled, y: y / magnitude * scaled };
+    }
+
+    // Analog triggers report a value rather than a press
+    static isPressed(button) {
+        return button.pressed || button.value > GamepadInput.triggerThreshold;
+    }
+}
+
+// Stick tilt (0..1) below which input is ignored
+GamepadInput.deadzone = 0.2;
+
+// How far a trigger must be pulled to count as pressed
+GamepadInput.triggerThreshold = 0.5;
+
+// Camera orbit speed at full right stick tilt, in radians per second
+GamepadInput.lookSpeed = 2.5;
+
+// Export the GamepadInput class
+window.GamepadInput = GamepadInput;
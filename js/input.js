@@ -0,0 +1,279 @@
+/**
+ * Input module for the Zelda-like 3D Game Engine
+ * Contains the action map between physical inputs and named game actions
+ *
+ * Physical inputs are strings: 'key:w', 'key:space', 'mouse:0', 'pad:1'. Each action has
+ * any number of them bound; the game asks whether an action is down, or registers
+ * handlers that run when it's pressed and released. Bindings are saved in localStorage.
+ *
+ * Analog movement (gamepad stick, touch joystick) is kept per device and read through
+ * Input.moveAxis.
+ */
+
+class Input {
+    // Setup input state and load the saved bindings
+    static setup(engine) {
+        engine.input = {
+            bindings: Input.loadBindings(),
+            held: new Set(), // Physical inputs currently down
+            handlers: {}, // Action name -> list of { onPress, onRelease }
+            capture: null, // While rebinding, receives the next physical input instead of any action
+            moveAxes: {} // Device name -> { x, y } analog movement, each axis -1..1 (y is down)
+        };
+    }
+
+    // Set a device's analog movement
+    static setMoveAxis(engine, device, x, y) {
+        engine.input.moveAxes[device] = { x, y };
+    }
+
+    // Analog movement of whichever device is pushed furthest
+    static moveAxis(engine) {
+        let best = { x: 0, y: 0 };
+        let bestMagnitude = 0;
+
+        Object.values(engine.input.moveAxes).forEach(axis => {
+            const magnitude = Math.sqrt(axis.x * axis.x + axis.y * axis.y);
+            if (magnitude > bestMagnitude) {
+                best = axis;
+                bestMagnitude = magnitude;
+            }
+        });
+
+        return best;
+    }
+
+    // Run onPress when an action is pressed and onRelease when it's let go
+    static on(engine, action, onPress, onRelease) {
+        const handlers = engine.input.handlers[action] || (engine.input.handlers[action] = []);
+        handlers.push({ onPress, onRelease });
+    }
+
+    // Check whether any input bound to an action is held down
+    static isDown(engine, action) {
+        return (engine.input.bindings[action] || []).some(input => engine.input.held.has(input));
+    }
+
+    // A physical input went down
+    static press(engine, input) {
+        const state = engine.input;
+
+        // Escape is left to the menu so it can cancel a rebind
+        if (state.capture && input !== 'key:escape') {
+            const capture = state.capture;
+            state.capture = null;
+            capture(input);
+            return;
+        }
+
+        // Ignore key repeat
+        if (state.held.has(input)) return;
+        state.held.add(input);
+
+        // Menus handle their own input
+        if (engine.menuOpen) return;
+
+        // An open text box takes the action buttons instead of the game
+        if (engine.dialogue) {
+            Dialogue.handleActions(engine, Input.actionsFor(engine, input));
+            return;
+        }
+
+        Input.actionsFor(engine, input).forEach(action => {
+            (state.handlers[action] || []).forEach(({ onPress }) => {
+                if (onPress) onPress();
+            });
+        });
+    }
+
+    // A physical input was let go
+    static release(engine, input) {
+        const state = engine.input;
+        if (!state.held.delete(input)) return;
+
+        Input.actionsFor(engine, input).forEach(action => {
+            (state.handlers[action] || []).forEach(({ onRelease }) => {
+                if (onRelease) onRelease();
+            });
+        });
+    }
+
+    // Let go of every held input starting with prefix (e.g. 'pad:' when a gamepad is unplugged)
+    static releaseAll(engine, prefix = '') {
+        Array.from(engine.input.held)
+            .filter(input => input.startsWith(prefix))
+            .forEach(input => Input.release(engine, input));
+    }
+
+    // Actions a physical input is bound to
+    static actionsFor(engine, input) {
+        const bindings = engine.input.bindings;
+        return Object.keys(bindings).filter(action => bindings[action].includes(input));
+    }
+
+    // Name of the physical input behind a keyboard event
+    static keyName(e) {
+        return `key:${e.key === ' ' ? 'space' : e.key.toLowerCase()}`;
+    }
+
+    // Wait for the next physical input and pass it to callback
+    static captureNext(engine, callback) {
+        engine.input.capture = callback;
+    }
+
+    // Stop waiting for an input to bind
+    static cancelCapture(engine) {
+        engine.input.capture = null;
+    }
+
+    // Bind an input to an action, taking it away from any other action
+    static bind(engine, action, input) {
+        const bindings = engine.input.bindings;
+        Object.keys(bindings).forEach(other => {
+            bindings[other] = bindings[other].filter(bound => bound !== input);
+        });
+        bindings[action].push(input);
+        Input.saveBindings(bindings);
+    }
+
+    // Remove an input from an action
+    static unbind(engine, action, input) {
+        const bindings = engine.input.bindings;
+        bindings[action] = bindings[action].filter(bound => bound !== input);
+        Input.saveBindings(bindings);
+    }
+
+    // Go back to the default bindings
+    static resetBindings(engine) {
+        engine.input.bindings = Input.copyBindings(Input.defaultBindings);
+        Input.saveBindings(engine.input.bindings);
+    }
+
+    // Read the saved bindings, falling back to the defaults for any action that has none saved
+    static loadBindings() {
+        const bindings = Input.copyBindings(Input.defaultBindings);
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(Input.storageKey));
+
+            // The bow had its own action before it became an item on the first item button
+            if (saved && saved.bow && !saved.item1) {
+                saved.item1 = saved.bow.map(input => input === 'touch:bow' ? 'touch:item1' : input);
+            }
+
+            if (saved) {
+                const savedActions = Object.keys(bindings).filter(action => Array.isArray(saved[action]));
+                const taken = new Set([].concat(...savedActions.map(action => saved[action])));
+
+                // Actions added since the save keep only the defaults the player hasn't rebound to something else
+                Object.keys(bindings).forEach(action => {
+                    bindings[action] = savedActions.includes(action)
+                        ? saved[action]
+                        : bindings[action].filter(input => !taken.has(input));
+                });
+            }
+        } catch (error) {
+            console.error('Saved input bindings are corrupt:', error);
+        }
+
+        return bindings;
+    }
+
+    // Save bindings to localStorage
+    static saveBindings(bindings) {
+        try {
+            localStorage.setItem(Input.storageKey, JSON.stringify(bindings));
+        } catch (error) {
+            console.error('Failed to save input bindings:', error);
+        }
+    }
+
+    static copyBindings(bindings) {
+        const copy = {};
+        Object.keys(bindings).forEach(action => {
+            copy[action] = bindings[action].slice();
+        });
+        return copy;
+    }
+
+    // Readable name of a physical input for menus
+    static label(input) {
+        const [device, code] = input.split(':');
+
+        switch (device) {
+            case 'key':
+                if (code.length === 1) return code.toUpperCase();
+                if (code.startsWith('arrow')) return `${Input.capitalize(code.slice(5))} Arrow`;
+                return Input.capitalize(code);
+            case 'mouse':
+                return ['Left Click', 'Middle Click', 'Right Click'][code] || `Mouse ${code}`;
+            case 'pad':
+                return `Pad ${Input.padButtonNames[code] || code}`;
+            case 'touch':
+                return `Touch ${Input.capitalize(code)}`;
+            default:
+                return input;
+        }
+    }
+
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
+
+// Actions in the order the controls menu lists them
+Input.actions = [
+    { name: 'moveForward', label: 'Move Forward' },
+    { name: 'moveBackward', label: 'Move Backward' },
+    { name: 'moveLeft', label: 'Move Left' },
+    { name: 'moveRight', label: 'Move Right' },
+    { name: 'jump', label: 'Jump' },
+    { name: 'attack', label: 'Attack (hold to charge a spin)' },
+    { name: 'item1', label: 'Item 1' },
+    { name: 'item2', label: 'Item 2' },
+    { name: 'block', label: 'Shield (hold)' },
+    { name: 'interact', label: 'Interact' },
+    { name: 'targetLock', label: 'Target Lock' },
+    { name: 'cameraOrbit', label: 'Rotate Camera (hold and drag)' },
+    { name: 'cameraLeft', label: 'Camera Left' },
+    { name: 'cameraRight', label: 'Camera Right' },
+    { name: 'resetPosition', label: 'Reset Position' },
+    { name: 'saveMenu', label: 'Save' },
+    { name: 'loadMenu', label: 'Load' },
+    { name: 'controlsMenu', label: 'Controls' },
+    { name: 'inventoryMenu', label: 'Inventory' },
+    { name: 'toggleDebug', label: 'Toggle Debug' }
+];
+
+// Bindings used until the player changes them
+Input.defaultBindings = {
+    moveForward: ['key:w', 'pad:12'],
+    moveBackward: ['key:s', 'pad:13'],
+    moveLeft: ['key:a', 'pad:14'],
+    moveRight: ['key:d', 'pad:15'],
+    jump: ['key:space', 'pad:0', 'touch:jump'],
+    attack: ['mouse:0', 'pad:1', 'touch:attack'],
+    item1: ['key:q', 'pad:3', 'touch:item1'],
+    item2: ['key:z', 'pad:5', 'touch:item2'],
+    block: ['key:shift', 'pad:4', 'touch:shield'],
+    interact: ['key:e', 'pad:2', 'touch:interact'],
+    targetLock: ['key:f', 'pad:6', 'touch:target'],
+    cameraOrbit: ['mouse:2'],
+    cameraLeft: ['key:arrowleft'],
+    cameraRight: ['key:arrowright'],
+    resetPosition: ['key:r'],
+    saveMenu: ['key:k'],
+    loadMenu: ['key:l'],
+    controlsMenu: ['key:b'],
+    inventoryMenu: ['key:i', 'touch:inventory'],
+    toggleDebug: ['key:0']
+};
+
+// Names of the buttons in the standard gamepad mapping
+Input.padButtonNames = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'LS', 'RS', 'Up', 'Down', 'Left', 'Right', 'Home'];
+
+// localStorage key of the saved bindings
+Input.storageKey = 'zelda-like-bindings';
+
+// Export the Input class
+window.Input = Input;
@@ -0,0 +1,187 @@
+/**
+ * Inventory module for the Zelda-like 3D Game Engine
+ * Contains what the player carries, what they hold and what the item buttons do
+ *
+ * engine.inventory.items counts each item carried by name (see Items). The sword and
+ * shield slots name the held items, whose meshes sit on the player's sword and shield
+ * holders, and each item button names the item it uses. Items come from pickups lying in
+ * levels and from shops, which take their price out of the inventory.
+ */
+
+class Inventory {
+    // Setup the starting inventory
+    static setup(engine) {
+        engine.inventory = {
+            items: Object.assign({}, Inventory.startingItems),
+            equipped: Object.assign({}, Inventory.startingEquipment),
+            buttons: Inventory.startingButtons.slice(),
+            using: Inventory.startingButtons.map(() => null) // Item each button was pressed with, until it's let go
+        };
+    }
+
+    // How many of an item are carried
+    static count(engine, name) {
+        return engine.inventory.items[name] || 0;
+    }
+
+    // Check whether an item was ever picked up, even if it's been used up since
+    static owns(engine, name) {
+        return name in engine.inventory.items;
+    }
+
+    // Check whether at least amount of an item are carried
+    static has(engine, name, amount = 1) {
+        return Inventory.count(engine, name) >= amount;
+    }
+
+    // Check whether any more of an item can be taken
+    static canAdd(engine, name) {
+        const item = Items.get(name);
+        return !!item && Inventory.count(engine, name) < item.max && (!item.canAdd || item.canAdd(engine));
+    }
+
+    // Add an item, up to the most that can be carried; returns how many were added
+    // Picking up the first sword or shield equips it
+    static add(engine, name, amount = 1) {
+        const item = Items.get(name);
+        if (!Inventory.canAdd(engine, name)) return 0;
+
+        const added = Math.min(amount, item.max - Inventory.count(engine, name));
+        if (added <= 0) return 0;
+
+        engine.inventory.items[name] = Inventory.count(engine, name) + added;
+
+        if (Inventory.equipSlots.includes(item.slot) && !engine.inventory.equipped[item.slot]) {
+            Inventory.equip(engine, name);
+        }
+        if (item.slot === 'button' && !engine.inventory.buttons.includes(name)) {
+            const empty = engine.inventory.buttons.indexOf(null);
+            if (empty !== -1) Inventory.assign(engine, empty, name);
+        }
+
+        UI.updateInventoryHud(engine);
+        if (item.onAdd) item.onAdd(engine);
+        return added;
+    }
+
+    // Take some of an item away; returns false if there weren't enough
+    static remove(engine, name, amount = 1) {
+        if (!Inventory.has(engine, name, amount)) return false;
+
+        engine.inventory.items[name] -= amount;
+
+        // Used-up button items stay owned (an empty bomb bag), anything else is gone
+        if (engine.inventory.items[name] === 0 && Items.get(name).slot !== 'button') {
+            delete engine.inventory.items[name];
+        }
+
+        UI.updateInventoryHud(engine);
+        return true;
+    }
+
+    // Buy count of an item at a cost of { item: amount } paid out of the inventory
+    // Returns 'bought', 'full' if no more can be carried or 'short' if the cost can't be paid
+    static buy(engine, name, count, cost) {
+        if (!Inventory.canAdd(engine, name)) return 'full';
+
+        const payments = Object.keys(cost);
+        if (!payments.every(payment => Inventory.has(engine, payment, cost[payment]))) return 'short';
+
+        payments.forEach(payment => Inventory.remove(engine, payment, cost[payment]));
+        Inventory.add(engine, name, count);
+        return 'bought';
+    }
+
+    // Definition of the item held in a slot ('sword' or 'shield'), or null
+    static equipped(engine, slot) {
+        return Items.get(engine.inventory.equipped[slot]);
+    }
+
+    // Hold a carried sword or shield
+    static equip(engine, name) {
+        const item = Items.get(name);
+        if (!item || !Inventory.equipSlots.includes(item.slot) || !Inventory.has(engine, name)) return;
+
+        engine.inventory.equipped[item.slot] = name;
+        Inventory.refreshEquipment(engine);
+    }
+
+    // Put an item on an item button, or clear the button with null
+    // An item is only on one button at a time
+    static assign(engine, button, name) {
+        const buttons = engine.inventory.buttons;
+        const previous = buttons.indexOf(name);
+        if (name && previous !== -1) buttons[previous] = null;
+
+        buttons[button] = name;
+        UI.updateInventoryHud(engine);
+    }
+
+    // Swap the meshes on the sword and shield holders for the equipped items
+    static refreshEquipment(engine) {
+        const player = engine.player;
+
+        Inventory.equipSlots.forEach(slot => {
+            const holder = player[`${slot}Holder`];
+            if (player[slot]) holder.remove(player[slot]);
+
+            const item = Inventory.equipped(engine, slot);
+            player[slot] = item ? item.build() : null;
+            if (player[slot]) holder.add(player[slot]);
+        });
+    }
+
+    // An item button was pressed
+    static use(engine, button) {
+        const item = Items.get(engine.inventory.buttons[button]);
+        if (!item || !item.use || engine.playerState !== 'alive') return;
+
+        if (item.ammo && !Inventory.has(engine, item.ammo)) {
+            console.log(`Out of ${Items.get(item.ammo).label.toLowerCase()}`);
+            return;
+        }
+
+        engine.inventory.using[button] = item;
+        item.use(engine, item);
+    }
+
+    // An item button was let go - finishes whatever the item started when it was pressed
+    static release(engine, button) {
+        const item = engine.inventory.using[button];
+        engine.inventory.using[button] = null;
+
+        if (item && item.release) item.release(engine, item);
+    }
+
+    // Copy of the inventory for save data
+    static serialize(engine) {
+        return {
+            items: Object.assign({}, engine.inventory.items),
+            equipped: Object.assign({}, engine.inventory.equipped),
+            buttons: engine.inventory.buttons.slice()
+        };
+    }
+
+    // Replace the inventory with saved data
+    static restore(engine, data) {
+        engine.inventory.items = Object.assign({}, data.items);
+        engine.inventory.equipped = Object.assign({}, data.equipped);
+        engine.inventory.buttons = data.buttons.slice();
+        Inventory.refreshEquipment(engine);
+        UI.updateInventoryHud(engine);
+    }
+}
+
+// Slots whose items the player holds
+Inventory.equipSlots = ['sword', 'shield'];
+
+// Input actions of the item buttons, in button order
+Inventory.buttonActions = ['item1', 'item2'];
+
+// What a new game starts with
+Inventory.startingItems = { kokiriSword: 1, hylianShield: 1, bow: 1, arrows: 30 };
+Inventory.startingEquipment = { sword: 'kokiriSword', shield: 'hylianShield' };
+Inventory.startingButtons = ['bow', null];
+
+// Export the Inventory class
+window.Inventory = Inventory;
@@ -0,0 +1,407 @@
+/**
+ * Items module for the Zelda-like 3D Game Engine
+ * Contains the registry of item definitions and their models
+ *
+ * Each item has a label and description for menus, the most of it that can be carried
+ * (max) and a model builder build(count), used both for pickups lying in the world and for
+ * swords and shields in the player's hands. The slot says where it can be equipped: 'sword' and
+ * 'shield' items are held, 'button' items are assigned to an item button and run
+ * use(engine, item) and release(engine, item) when it's pressed and let go. Items without a slot
+ * (ammunition, ...) are only counted. An item's onAdd(engine) runs whenever some are
+ * picked up, for items that take effect rather than being carried (heart containers, ...).
+ * canAdd(engine) can refuse more of an item for other reasons than max, and fullText is what
+ * the player is told when more can't be taken.
+ */
+
+class Items {
+    // Add an item definition to the registry
+    static register(name, definition) {
+        Items.registry[name] = Object.assign({ name, slot: null, max: 1, description: '' }, definition);
+    }
+
+    // Look up an item definition, or null for unknown names
+    static get(name) {
+        if (!name) return null;
+
+        const item = Items.registry[name];
+        if (!item) console.warn(`Unknown item "${name}"`);
+        return item || null;
+    }
+
+    // Sword model, resting at the player's side pointing forward
+    // The blade is the returned mesh; the handle and hilt hang off it
+    static buildSword(length, bladeColor, hiltColor) {
+        // Blade
+        const swordBladeGeometry = new THREE.BoxGeometry(0.05, length, 0.1);
+        const swordMaterial = new THREE.MeshStandardMaterial({
+            color: bladeColor,
+            roughness: 0.2,
+            metalness: 0.8
+        });
+        const sword = new THREE.Mesh(swordBladeGeometry, swordMaterial);
+        // Point the same direction as the character's face (positive Z is forward)
+        sword.position.set(0, 0, Player.swordRestReach);
+        sword.rotation.x = Player.swordRestRotation;
+
+        // Sword handle
+        const handleGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.2, 8);
+        const handleMaterial = new THREE.MeshStandardMaterial({
+            color: 0x3d2314, // Dark brown
+            roughness: 0.7,
+            metalness: 0.1
+        });
+        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
+        handle.position.y = -length / 2 - 0.1;
+        handle.rotation.x = Math.PI / 2;
+        sword.add(handle);
+
+        // Sword hilt
+        const hiltGeometry = new THREE.BoxGeometry(0.15, 0.03, 0.04);
+        const hiltMaterial = new THREE.MeshStandardMaterial({
+            color: hiltColor,
+            roughness: 0.3,
+            metalness: 0.9
+        });
+        const hilt = new THREE.Mesh(hiltGeometry, hiltMaterial);
+        hilt.position.y = -length / 2;
+        sword.add(hilt);
+
+        return sword;
+    }
+
+    // Tapered shield with a triangular emblem, on the player's left
+    static buildShield(color, emblemColor, metalness) {
+        const shieldBaseGeometry = new THREE.BoxGeometry(0.05, 0.5, 0.4);
+        // Taper the shield slightly with a custom shape
+        for (let i = 0; i < shieldBaseGeometry.attributes.position.count; i++) {
+            const y = shieldBaseGeometry.attributes.position.getY(i);
+            if (y < 0) { // Lower part of shield
+                const factor = 1 + (y * 0.5); // Taper more at bottom
+                shieldBaseGeometry.attributes.position.setZ(
+                    i,
+                    shieldBaseGeometry.attributes.position.getZ(i) * factor
+                );
+            }
+        }
+
+        const shieldMaterial = new THREE.MeshStandardMaterial({
+            color,
+            roughness: 0.4,
+            metalness
+        });
+        const shield = new THREE.Mesh(shieldBaseGeometry, shieldMaterial);
+        shield.position.set(-0.3, 0, 0); // Position on the left side
+
+        // Shield emblem
+        const emblemGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.02, 3);
+        const emblemMaterial = new THREE.MeshStandardMaterial({
+            color: emblemColor,
+            roughness: 0.2,
+            metalness: 0.8
+        });
+        const emblem = new THREE.Mesh(emblemGeometry, emblemMaterial);
+        emblem.position.z = 0.2;
+        emblem.position.y = 0.1;
+        emblem.rotation.x = Math.PI / 2;
+        shield.add(emblem);
+
+        return shield;
+    }
+
+    // Bow - an arc with its tips pointing along +y
+    static buildBow() {
+        return new THREE.Mesh(
+            new THREE.TorusGeometry(0.4, 0.025, 6, 16, Math.PI),
+            new THREE.MeshStandardMaterial({ color: 0x8b5a2b, roughness: 0.7 })
+        );
+    }
+
+    // Rupee - a long gem whose color shows what it's worth
+    static buildRupee(count = 1) {
+        const value = Object.keys(Items.rupeeColors).map(Number)
+            .filter(worth => worth <= count)
+            .reduce((best, worth) => Math.max(best, worth), 1);
+
+        const geometry = new THREE.OctahedronGeometry(0.2, 0);
+        geometry.scale(0.7, 1.6, 0.45);
+        return new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+            color: Items.rupeeColors[value],
+            emissive: Items.rupeeColors[value],
+            emissiveIntensity: 0.3,
+            roughness: 0.2,
+            metalness: 0.4
+        }));
+    }
+
+    // Bomb - a dark ball with a fuse on top
+    static buildBomb() {
+        const bomb = new THREE.Mesh(
+            new THREE.SphereGeometry(0.25, 16, 12),
+            new THREE.MeshStandardMaterial({ color: 0x1f2a44, roughness: 0.4, metalness: 0.3 })
+        );
+
+        const fuse = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.03, 0.03, 0.15, 6),
+            new THREE.MeshStandardMaterial({ color: 0xdeb887 })
+        );
+        fuse.position.y = 0.3;
+        bomb.add(fuse);
+
+        return bomb;
+    }
+
+    // Boomerang - two flat arms meeting at an angle, lying flat
+    static buildBoomerang() {
+        const boomerang = new THREE.Group();
+        const material = new THREE.MeshStandardMaterial({ color: 0xc0392b, roughness: 0.6 });
+
+        [-1, 1].forEach(side => {
+            const arm = new THREE.Mesh(new THREE.BoxGeometry(0.4, 0.04, 0.1), material);
+            arm.position.set(side * 0.16, 0, -0.08);
+            arm.rotation.y = side * Math.PI / 5; // Inner ends meet at the elbow in front
+            boomerang.add(arm);
+        });
+
+        return boomerang;
+    }
+
+    // Hookshot - a barrel with the spiked tip loaded in front, pointing along +z
+    static buildHookshot() {
+        const hookshot = new THREE.Group();
+
+        const barrel = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.07, 0.07, 0.4, 8),
+            new THREE.MeshStandardMaterial({ color: 0x7f8c8d, roughness: 0.3, metalness: 0.7 })
+        );
+        barrel.rotation.x = Math.PI / 2;
+        hookshot.add(barrel);
+
+        const tip = Items.buildHookTip();
+        tip.position.z = 0.3;
+        hookshot.add(tip);
+
+        return hookshot;
+    }
+
+    // The spiked tip the hookshot fires, pointing along +z
+    static buildHookTip() {
+        const tip = new THREE.Group();
+        const spike = new THREE.Mesh(
+            new THREE.ConeGeometry(0.08, 0.2, 6),
+            new THREE.MeshStandardMaterial({ color: 0xbdc3c7, roughness: 0.2, metalness: 0.9 })
+        );
+        spike.rotation.x = Math.PI / 2; // Cone points along +y, turn it to +z
+        tip.add(spike);
+        return tip;
+    }
+
+    // Small heart - two lobes over a point
+    static buildHeart(color = 0xff0000) {
+        const heart = new THREE.Group();
+        const material = new THREE.MeshStandardMaterial({
+            color,
+            emissive: 0x330000,
+            emissiveIntensity: 0.5
+        });
+
+        [-0.15, 0.15].forEach(side => {
+            const lobe = new THREE.Mesh(new THREE.SphereGeometry(0.2, 12, 12), material);
+            lobe.position.set(side, 0.12, 0);
+            heart.add(lobe);
+        });
+
+        const point = new THREE.Mesh(new THREE.ConeGeometry(0.34, 0.45, 12), material);
+        point.position.y = -0.15;
+        point.rotation.x = Math.PI; // Tip down
+        heart.add(point);
+
+        return heart;
+    }
+
+    // Heart container - a big heart in a glass case
+    static buildHeartContainer() {
+        const container = new THREE.Group();
+
+        const heart = Items.buildHeart();
+        heart.scale.setScalar(1.4);
+        container.add(heart);
+
+        const glass = new THREE.Mesh(
+            new THREE.SphereGeometry(0.55, 16, 16),
+            new THREE.MeshStandardMaterial({
+                color: 0xffffff,
+                transparent: true,
+                opacity: 0.25,
+                roughness: 0.1,
+                depthWrite: false
+            })
+        );
+        container.add(glass);
+
+        return container;
+    }
+
+    // A few arrows tied in a bundle
+    static buildArrows() {
+        const bundle = new THREE.Group();
+        const shaftMaterial = new THREE.MeshStandardMaterial({ color: 0xdeb887 });
+        const tipMaterial = new THREE.MeshStandardMaterial({ color: 0x7f8c8d, metalness: 0.6 });
+
+        [-0.05, 0, 0.05].forEach((offset, index) => {
+            const shaft = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 0.8, 6), shaftMaterial);
+            shaft.position.set(offset, 0, (index - 1) * 0.03);
+            bundle.add(shaft);
+
+            const tip = new THREE.Mesh(new THREE.ConeGeometry(0.05, 0.15, 6), tipMaterial);
+            tip.position.y = 0.45;
+            shaft.add(tip);
+        });
+
+        return bundle;
+    }
+}
+
+// Item definitions by name
+Items.registry = {};
+
+// Pieces of heart that make up a heart container
+Items.heartPiecesPerContainer = 4;
+
+// Rupee colors by the value they're worth at least
+Items.rupeeColors = {
+    1: 0x2ecc71, // Green
+    5: 0x3498db, // Blue
+    20: 0xe74c3c // Red
+};
+
+Items.register('rupees', {
+    label: 'Rupees',
+    description: 'The currency of Hyrule.',
+    max: 200, // Wallet size
+    build: Items.buildRupee
+});
+
+Items.register('kokiriSword', {
+    label: 'Kokiri Sword',
+    description: 'A short blade, light enough for a child to swing.',
+    slot: 'sword',
+    damageScale: 1, // Multiplier on the damage of every sword move
+    build: () => Items.buildSword(0.6, 0xcccccc, 0xd4af37)
+});
+
+Items.register('masterSword', {
+    label: 'Master Sword',
+    description: 'The blade of evil\'s bane. Hits twice as hard and reaches further.',
+    slot: 'sword',
+    damageScale: 2,
+    build: () => Items.buildSword(0.85, 0xe8f0ff, 0x4a3b8f)
+});
+
+Items.register('hylianShield', {
+    label: 'Hylian Shield',
+    description: 'A sturdy shield bearing the royal crest.',
+    slot: 'shield',
+    blockAngle: THREE.MathUtils.degToRad(70), // Hits within this angle of straight ahead land on the raised shield
+    fullBlockAngle: THREE.MathUtils.degToRad(35), // Hits within this angle are fully stopped, the rest only softened
+    build: () => Items.buildShield(0x244985, 0xd4af37, 0.3)
+});
+
+Items.register('mirrorShield', {
+    label: 'Mirror Shield',
+    description: 'A polished shield wide enough to stop attacks from almost any side in front.',
+    slot: 'shield',
+    blockAngle: THREE.MathUtils.degToRad(85),
+    fullBlockAngle: THREE.MathUtils.degToRad(55),
+    build: () => Items.buildShield(0xc0c6cc, 0xc0392b, 0.9)
+});
+
+Items.register('bow', {
+    label: 'Bow',
+    description: 'Hold to draw and aim, let go to shoot. Needs arrows.',
+    slot: 'button',
+    ammo: 'arrows', // Can't be used without one of these
+    build: Items.buildBow,
+    use: engine => Player.drawBow(engine),
+    release: engine => {
+        if (Player.fireBow(engine)) Inventory.remove(engine, 'arrows');
+    }
+});
+
+Items.register('arrows', {
+    label: 'Arrows',
+    description: 'Ammunition for the bow.',
+    max: 30,
+    build: Items.buildArrows
+});
+
+Items.register('bombs', {
+    label: 'Bombs',
+    description: 'Light one and toss it. Blows up enemies and cracked rocks - stay clear of the blast!',
+    slot: 'button',
+    max: 20, // Bomb bag size
+    ammo: 'bombs', // Each throw uses one up
+    fuse: 2.5, // Seconds from the throw to the blast
+    blastRadius: 3,
+    damage: 2, // Hits taken by enemies in the blast
+    playerDamage: 4, // Quarter hearts taken by the player if caught in it
+    knockback: 2.5,
+    build: Items.buildBomb,
+    use: (engine, item) => {
+        if (SubWeapons.throwBomb(engine, item)) Inventory.remove(engine, 'bombs');
+    }
+});
+
+Items.register('boomerang', {
+    label: 'Boomerang',
+    description: 'Throw it to stun enemies and fetch things out of reach. It always comes back.',
+    slot: 'button',
+    speed: 14,
+    range: 9, // How far it flies before turning back
+    curve: 0.6, // Radians per second it swerves by on the way out
+    stunTime: 3, // Seconds enemies it hits stay dazed
+    build: Items.buildBoomerang,
+    use: (engine, item) => SubWeapons.throwBoomerang(engine, item)
+});
+
+Items.register('hookshot', {
+    label: 'Hookshot',
+    description: 'Fires a chain that latches onto wood and pulls you over to it. Stuns enemies it hits.',
+    slot: 'button',
+    range: 12,
+    speed: 25, // Of the chain, going out and coming back
+    pullSpeed: 12,
+    stunTime: 2,
+    build: Items.buildHookshot,
+    use: (engine, item) => SubWeapons.fireHookshot(engine, item)
+});
+
+Items.register('heartContainer', {
+    label: 'Heart Container',
+    description: 'Your life grows by one heart.',
+    build: Items.buildHeartContainer,
+    canAdd: engine => !Player.atMaxHearts(engine),
+    fullText: "Your life can't grow any further.",
+    // Goes straight into the player's health rather than the bag
+    onAdd: engine => {
+        Inventory.remove(engine, 'heartContainer');
+        Player.addHeartContainer(engine);
+    }
+});
+
+Items.register('heartPiece', {
+    label: 'Piece of Heart',
+    description: `Collect ${Items.heartPiecesPerContainer} to form a new Heart Container.`,
+    max: Items.heartPiecesPerContainer,
+    build: () => Items.buildHeart(0xff8fa3),
+    canAdd: engine => !Player.atMaxHearts(engine),
+    fullText: "Your life can't grow any further.",
+    // A full set becomes a heart container
+    onAdd: engine => {
+        if (Inventory.remove(engine, 'heartPiece', Items.heartPiecesPerContainer)) {
+            Player.addHeartContainer(engine);
+        }
+    }
+});
+
+// Export the Items class
+window.Items = Items;
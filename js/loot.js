@@ -0,0 +1,178 @@
+/**
+ * Loot module for the Zelda-like 3D Game Engine
+ * Contains drop tables and the pickups defeated enemies leave behind
+ *
+ * A drop table is { rolls, table: [{ weight, type, count }] }: each roll picks one entry
+ * with a chance proportional to its weight, and entries without a type drop nothing.
+ * The type is 'heart' (restores a whole heart) or the name of an item (see Items), count of
+ * which are added to the inventory. Ammunition only drops once the player owns an item
+ * that uses it.
+ *
+ * Loot pops out with a little hop, bounces to rest and is picked up by walking into it.
+ * It blinks for its last few seconds, then disappears.
+ */
+
+class Loot {
+    // Roll a drop table and throw out whatever comes up from position
+    static drop(engine, position, drops) {
+        if (!drops) return;
+
+        for (let i = 0; i < (drops.rolls || 1); i++) {
+            const entry = Loot.roll(engine, drops.table);
+            if (entry && entry.type) {
+                Loot.spawn(engine, position, entry.type, entry.count || 1);
+            }
+        }
+    }
+
+    // Pick one entry of a table by weight
+    static roll(engine, table) {
+        const entries = table.filter(entry => Loot.canDrop(engine, entry));
+        const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+
+        let pick = Math.random() * total;
+        return entries.find(entry => (pick -= entry.weight) < 0) || null;
+    }
+
+    // Check whether an entry may drop - ammunition needs something to fire it
+    static canDrop(engine, entry) {
+        if (!entry.type || entry.type === 'heart') return true;
+
+        const users = Object.values(Items.registry).filter(item => item.ammo === entry.type);
+        return users.length === 0 || users.some(item => Inventory.owns(engine, item.name));
+    }
+
+    // Create a piece of loot flying out from position
+    static spawn(engine, position, type, count) {
+        const model = type === 'heart' ? Items.buildHeart() : Items.get(type).build(count);
+        model.position.set(0, 0, 0);
+        model.rotation.set(0, 0, 0);
+        model.scale.setScalar(Loot.modelScale);
+        model.traverse(object => {
+            object.castShadow = true;
+        });
+
+        const lootGroup = new THREE.Group();
+        lootGroup.add(model);
+        lootGroup.position.copy(position);
+        engine.levelRoot.add(lootGroup);
+
+        // Hop up and out in a random direction
+        const angle = Math.random() * Math.PI * 2;
+        const velocity = new THREE.Vector3(
+            Math.sin(angle) * Loot.popSpeed,
+            Loot.popHeight,
+            Math.cos(angle) * Loot.popSpeed
+        );
+
+        return ECS.createEntity(engine, 'loot', {
+            transform: Components.transform(lootGroup, true),
+            renderable: Components.renderable(lootGroup, { model }),
+            loot: Components.loot({ type, count, velocity })
+        });
+    }
+
+    // Loot system - fall and bounce, spin, get picked up or time out
+    static update(engine, entity, deltaTime) {
+        const loot = entity.loot;
+        const object = entity.transform.object;
+
+        // Being fetched by the boomerang, which does the moving
+        if (loot.carried) return;
+
+        loot.age += deltaTime;
+        if (loot.age > Loot.lifetime) {
+            ECS.destroyEntity(engine, entity);
+            return;
+        }
+
+        // Blink while it's about to disappear
+        object.visible = loot.age < Loot.lifetime - Loot.blinkTime ||
+            Math.floor(loot.age * Loot.blinkRate) % 2 === 0;
+
+        if (!loot.resting) {
+            loot.velocity.y -= Loot.gravity * deltaTime;
+            object.position.addScaledVector(loot.velocity, deltaTime);
+
+            // Stop against walls and trees rather than flying through them
+            Collision.overlaps(engine, Loot.shape, object.position, { mask: Collision.layers.world }).forEach(contact => {
+                object.position.addScaledVector(contact.normal, contact.depth);
+                loot.velocity.x = 0;
+                loot.velocity.z = 0;
+            });
+
+            // Bounce off the ground, a little lower each time
+            const ground = Terrain.heightAt(engine, object.position.x, object.position.z) + Loot.restHeight;
+            if (object.position.y <= ground && loot.velocity.y < 0) {
+                object.position.y = ground;
+                if (-loot.velocity.y < Loot.restSpeed) {
+                    loot.resting = true;
+                } else {
+                    loot.velocity.y *= -Loot.bounce;
+                    loot.velocity.x *= Loot.bounce;
+                    loot.velocity.z *= Loot.bounce;
+                }
+            }
+        }
+
+        entity.renderable.parts.model.rotation.y += Loot.spinSpeed * deltaTime;
+
+        // Picked up by walking into it, once it's had a moment to be seen
+        if (loot.age > Loot.pickupDelay && engine.playerState === 'alive') {
+            const touching = Collision.overlaps(engine, Loot.shape, object.position, { mask: Collision.layers.player });
+            if (touching.length > 0) {
+                Loot.collect(engine, entity);
+            }
+        }
+    }
+
+    // Give the player a piece of loot
+    static collect(engine, entity) {
+        const { type, count } = entity.loot;
+
+        if (type === 'heart') {
+            Player.heal(engine, Player.healthPerHeart);
+        } else {
+            Inventory.add(engine, type, count);
+        }
+
+        console.log(`Picked up ${count} ${type}`);
+        ECS.destroyEntity(engine, entity);
+    }
+}
+
+// Collision shape of a piece of loot, for walls and the player walking into it
+Loot.shape = Collision.circle(0.3, 0.6, -0.3);
+
+// Size of item models when dropped as loot
+Loot.modelScale = 0.6;
+
+// Launch speed out and up when dropped
+Loot.popSpeed = 1.5;
+Loot.popHeight = 5;
+
+// Downward acceleration while flying
+Loot.gravity = 15;
+
+// Fraction of its speed kept after each bounce
+Loot.bounce = 0.4;
+
+// Upward speed below which a bounce comes to rest
+Loot.restSpeed = 1;
+
+// Height above the terrain that loot rests at
+Loot.restHeight = 0.3;
+
+// How fast loot spins, in radians per second
+Loot.spinSpeed = 2;
+
+// Seconds after dropping before it can be picked up
+Loot.pickupDelay = 0.3;
+
+// Seconds before it disappears, and how long it blinks beforehand and how fast
+Loot.lifetime = 12;
+Loot.blinkTime = 3;
+Loot.blinkRate = 8;
+
+// Export the Loot class
+window.Loot = Loot;
@@ -4,17 +4,48 @@
  */
 
 class ZeldaLikeEngine extends Core {
-    constructor(containerId) {
+    constructor(containerId, levelSource = 'levels/hyrule-field.json') {
         super(containerId);
         
-        // Setup the world
-        Environment.setup(this);
-        
         // Setup camera
         Camera.setup(this);
+
+        // Setup zone transitions
+        Zone.setup(this);
+
+        // Setup tweens and timers
+        Tween.setup(this);
+
+        // Setup the dialogue text box
+        Dialogue.setup(this);
+
+        // Setup the starting inventory
+        Inventory.setup(this);
+
+        // Setup gamepad input
+        GamepadInput.setup(this);
+
+        // Setup on-screen touch controls
+        TouchControls.setup(this);
+
+        // Register entity systems - they run in this order every simulation step
+        ECS.addSystem(this, 'ai', ['ai', 'transform'], Enemy.updateAI);
+        ECS.addSystem(this, 'projectiles', ['projectile', 'transform'], Projectile.update);
+        ECS.addSystem(this, 'bombs', ['bomb', 'transform'], SubWeapons.updateBomb);
+        ECS.addSystem(this, 'boomerangs', ['boomerang', 'transform'], SubWeapons.updateBoomerang);
+        ECS.addSystem(this, 'hookshots', ['hookshot', 'transform'], SubWeapons.updateHookshot);
+        ECS.addSystem(this, 'health', ['health'], ECS.updateHealth);
+        ECS.addSystem(this, 'collectibles', ['interactable', 'transform'], Environment.updateCollectible);
+        ECS.addSystem(this, 'npcs', ['npc', 'transform'], NPC.update);
+        ECS.addSystem(this, 'loot', ['loot', 'transform'], Loot.update);
         
-        // Start the engine
-        this.animate();
+        // Setup the world, then start the engine once the level is loaded
+        this.ready = Environment.setup(this, levelSource).then(() => {
+            this.animate();
+        }).catch(error => {
+            console.error(error);
+            this.loadingScreen.querySelector('h1').textContent = 'Failed to load level';
+        });
     }
     
     // Check for player interactions
@@ -31,41 +62,167 @@ class ZeldaLikeEngine extends Core {
     playerAttack() {
         Player.attack(this);
     }
+
+    // Let go of attack - unleashes a charged spin attack
+    playerReleaseAttack() {
+        Player.releaseAttack(this);
+    }
     
+    // Raise the shield to block
+    playerRaiseShield() {
+        Player.raiseShield(this);
+    }
+
+    // Lower the shield
+    playerLowerShield() {
+        Player.lowerShield(this);
+    }
+
+    // Use the item on an item button
+    useItem(button) {
+        Inventory.use(this, button);
+    }
+
+    // Let go of an item button
+    releaseItem(button) {
+        Inventory.release(this, button);
+    }
+
     // Reset player position
     resetPlayerPosition() {
         Player.resetPosition(this);
     }
 
+    // Open the save slot menu
+    openSaveMenu() {
+        SaveSystem.openSaveMenu(this);
+    }
+
+    // Open the load slot menu
+    openLoadMenu() {
+        SaveSystem.openLoadMenu(this);
+    }
+
+    // Open the controls menu for rebinding inputs
+    openControlsMenu() {
+        UI.showControlsMenu(this);
+    }
+
+    // Open the inventory screen
+    openInventoryMenu() {
+        UI.showInventoryMenu(this);
+    }
+
     // Animation loop
+    // The simulation advances in fixed steps so physics and AI don't depend on the frame rate;
+    // rendering interpolates between the last two simulation states
     animate() {
         requestAnimationFrame(() => this.animate());
 
-        const deltaTime = this.clock.getDelta();
+        // Clamp long frames (e.g. after a breakpoint) so the simulation doesn't spiral
+        const frameTime = Math.min(this.clock.getDelta(), this.maxFrameTime);
+        if (this.paused) return;
+
+        this.accumulator += frameTime;
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.storeInterpolationState();
+            this.update(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+        }
+
+        this.render(this.accumulator / this.fixedTimeStep, frameTime);
+    }
+
+    // Advance the simulation by one fixed step
+    update(deltaTime) {
+        // Hold the whole game still for a moment when a hit lands
+        if (this.hitStop > 0) {
+            this.hitStop = Math.max(0, this.hitStop - deltaTime);
+            GamepadInput.update(this, deltaTime);
+            return;
+        }
+
+        this.simTime += deltaTime;
 
         // Update day/night cycle
         this.updateDayNightCycle(deltaTime);
 
-        // Update player
-        Player.update(this, deltaTime);
+        // Poll the gamepad
+        GamepadInput.update(this, deltaTime);
 
-        // Update camera
-        Camera.update(this, deltaTime);
+        // Type out the dialogue text box
+        Dialogue.update(this, deltaTime);
+
+        // Freeze player and enemies while the screen fades between zones, a menu is open or someone is talking
+        if (!this.transitioning && !this.menuOpen && !this.dialogue) {
+            // Advance tweens and timers - sword swings and hit effects included
+            Tween.update(this, deltaTime);
+
+            // Update player
+            Player.update(this, deltaTime);
 
-        // Update enemies
-        Enemy.update(this, deltaTime);
+            // Run entity systems (AI, projectiles, sub-weapons, health, collectibles, NPCs, loot)
+            ECS.update(this, deltaTime);
 
-        // Update collectibles
-        Environment.updateCollectibles(this, deltaTime);
+            // Check for exits the player walked into
+            Zone.update(this);
+        }
 
         // Update environment
         Environment.updateEnvironment(this, deltaTime);
+    }
+
+    // Render the scene with moving objects interpolated between simulation steps
+    render(alpha, frameTime) {
+        const objects = this.getInterpolatedObjects();
+        const current = objects.map(object => ({
+            position: object.position.clone(),
+            quaternion: object.quaternion.clone()
+        }));
+
+        objects.forEach(object => {
+            const previous = object.userData.previousState;
+            if (!previous) return;
+            object.position.lerpVectors(previous.position, object.position, alpha);
+            object.quaternion.copy(previous.quaternion).slerp(object.quaternion, alpha);
+        });
+
+        // Update camera
+        Camera.update(this, frameTime);
 
         // Update target reticle
         Camera.updateTargetReticle(this);
 
+        // Update debug labels
+        UI.updateDebugOverlay(this);
+
         // Render scene
         this.renderer.render(this.scene, this.camera);
+
+        // Restore the simulation state
+        objects.forEach((object, index) => {
+            object.position.copy(current[index].position);
+            object.quaternion.copy(current[index].quaternion);
+        });
+    }
+
+    // Objects whose transforms are interpolated when rendering
+    getInterpolatedObjects() {
+        return this.entities
+            .filter(entity => entity.transform && entity.transform.interpolate)
+            .map(entity => entity.transform.object);
+    }
+
+    // Remember transforms before a simulation step
+    storeInterpolationState() {
+        this.getInterpolatedObjects().forEach(object => {
+            const previous = object.userData.previousState || (object.userData.previousState = {
+                position: new THREE.Vector3(),
+                quaternion: new THREE.Quaternion()
+            });
+            previous.position.copy(object.position);
+            previous.quaternion.copy(object.quaternion);
+        });
     }
 }
 
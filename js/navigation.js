@@ -0,0 +1,314 @@
+/**
+ * Navigation module for the Zelda-like 3D Game Engine
+ * Contains the navigation grid and A* pathfinding for enemies
+ *
+ * When a level loads, the terrain is divided into square cells and every cell the agent's
+ * collider can't stand in (overlapping a tree, rock, wall or house, or on ground too steep
+ * to climb) is marked blocked. Paths are searched over the open cells with A* and then
+ * smoothed by skipping every waypoint that can be walked past in a straight line.
+ */
+
+class Navigation {
+    // Build the grid for the current level; shape and groundOffset describe the agent that walks it
+    static build(engine, shape, groundOffset) {
+        const size = engine.terrain ? engine.terrain.size : 100;
+        const cellSize = Navigation.cellSize;
+        const cols = Math.ceil(size / cellSize);
+        const rows = cols;
+
+        const grid = {
+            originX: -size / 2,
+            originZ: -size / 2,
+            cellSize,
+            cols,
+            rows,
+            shape,
+            groundOffset,
+            blocked: new Uint8Array(cols * rows),
+            debugView: null
+        };
+
+        for (let index = 0; index < cols * rows; index++) {
+            Navigation.testCell(engine, grid, index);
+        }
+
+        engine.navigation = grid;
+
+        // Show blocked cells in debug mode
+        if (engine.debugMode) {
+            Navigation.createDebugView(engine, grid);
+        }
+
+        return grid;
+    }
+
+    // Test again whether the agent can stand in the cells within radius of a point,
+    // after an obstacle there was added or taken away (e.g. a rock blown up)
+    static refresh(engine, center, radius) {
+        const grid = engine.navigation;
+        if (!grid) return;
+
+        const reach = radius + grid.shape.radius + grid.cellSize;
+        const first = Navigation.cellIndex(grid, center.x - reach, center.z - reach);
+        const last = Navigation.cellIndex(grid, center.x + reach, center.z + reach);
+
+        for (let row = Math.floor(first / grid.cols); row <= Math.floor(last / grid.cols); row++) {
+            for (let col = first % grid.cols; col <= last % grid.cols; col++) {
+                Navigation.testCell(engine, grid, col + row * grid.cols);
+            }
+        }
+
+        // Redraw the blocked cells in debug mode
+        if (grid.debugView) {
+            const old = grid.debugView;
+            old.parent.remove(old);
+            old.geometry.dispose();
+            old.material.dispose();
+            engine.debugObjects = engine.debugObjects.filter(obj => obj !== old);
+            Navigation.createDebugView(engine, grid);
+        }
+    }
+
+    // Block a cell if the agent's collider would overlap a tree, rock, wall or house there,
+    // or the ground is too steep to climb
+    static testCell(engine, grid, index) {
+        const position = Navigation.cellCenter(grid, index, new THREE.Vector3());
+        position.y = Terrain.heightAt(engine, position.x, position.z) + grid.groundOffset;
+
+        const steep = Terrain.normalAt(engine, position.x, position.z).y < Math.cos(Terrain.maxSlope);
+        const solid = Collision.overlaps(engine, grid.shape, position, {
+            layer: Collision.layers.enemy,
+            mask: Collision.layers.world
+        }).length > 0;
+
+        grid.blocked[index] = steep || solid ? 1 : 0;
+    }
+
+    // Find a path between two points; returns the waypoints to walk through, ending at to
+    // If to can't be reached, the path leads to the closest reachable cell first
+    static findPath(engine, from, to) {
+        const grid = engine.navigation;
+        if (!grid) return [to.clone()];
+
+        const start = Navigation.cellIndex(grid, from.x, from.z);
+        const goal = Navigation.cellIndex(grid, to.x, to.z);
+        const count = grid.cols * grid.rows;
+
+        const gScore = new Float32Array(count).fill(Infinity);
+        const fScore = new Float32Array(count);
+        const cameFrom = new Int32Array(count).fill(-1);
+        const closed = new Uint8Array(count);
+        const open = [];
+
+        gScore[start] = 0;
+        fScore[start] = Navigation.heuristic(grid, start, goal);
+        Navigation.heapPush(open, fScore, start);
+
+        // Closest cell to the goal reached so far, in case the goal is walled off
+        let closest = start;
+        let closestDistance = fScore[start];
+
+        while (open.length > 0) {
+            const current = Navigation.heapPop(open, fScore);
+            if (current === goal) {
+                closest = goal;
+                break;
+            }
+            if (closed[current]) continue;
+            closed[current] = 1;
+
+            const distance = Navigation.heuristic(grid, current, goal);
+            if (distance < closestDistance) {
+                closest = current;
+                closestDistance = distance;
+            }
+
+            Navigation.neighbors(grid, current).forEach(({ index, cost }) => {
+                if (closed[index]) return;
+
+                const score = gScore[current] + cost;
+                if (score < gScore[index]) {
+                    gScore[index] = score;
+                    fScore[index] = score + Navigation.heuristic(grid, index, goal);
+                    cameFrom[index] = current;
+                    Navigation.heapPush(open, fScore, index);
+                }
+            });
+        }
+
+        // Walk back from the end to get the cells in order
+        const cells = [];
+        for (let index = closest; index !== start && index !== -1; index = cameFrom[index]) {
+            cells.unshift(index);
+        }
+
+        const points = cells.map(index => Navigation.cellCenter(grid, index, new THREE.Vector3()));
+
+        // Finish at the exact destination rather than its cell's center
+        if (points.length > 0 && closest === goal) points.pop();
+        points.push(to.clone());
+
+        return Navigation.smoothPath(grid, from, points);
+    }
+
+    // Drop waypoints that can be skipped by walking straight to a later one
+    static smoothPath(grid, from, points) {
+        const smoothed = [];
+        let anchor = from;
+        let index = 0;
+
+        while (index < points.length) {
+            // Furthest waypoint in a straight, unblocked line from the anchor
+            let furthest = index;
+            for (let next = points.length - 1; next > index; next--) {
+                if (Navigation.isClear(grid, anchor, points[next])) {
+                    furthest = next;
+                    break;
+                }
+            }
+
+            smoothed.push(points[furthest]);
+            anchor = points[furthest];
+            index = furthest + 1;
+        }
+
+        return smoothed;
+    }
+
+    // Check whether a straight line between two points crosses only open cells
+    static isClear(grid, a, b) {
+        const dx = b.x - a.x;
+        const dz = b.z - a.z;
+        const length = Math.sqrt(dx * dx + dz * dz);
+        const steps = Math.ceil(length / (grid.cellSize * Navigation.lineStep));
+
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            if (grid.blocked[Navigation.cellIndex(grid, a.x + dx * t, a.z + dz * t)]) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    // Open cells next to a cell, with the cost of stepping into each
+    // Diagonal steps need both cells beside them open so paths don't clip corners
+    static neighbors(grid, index) {
+        const col = index % grid.cols;
+        const row = Math.floor(index / grid.cols);
+        const result = [];
+
+        const isOpen = (c, r) => c >= 0 && r >= 0 && c < grid.cols && r < grid.rows && !grid.blocked[c + r * grid.cols];
+
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if (dc === 0 && dr === 0) continue;
+                if (!isOpen(col + dc, row + dr)) continue;
+
+                const diagonal = dc !== 0 && dr !== 0;
+                if (diagonal && (!isOpen(col + dc, row) || !isOpen(col, row + dr))) continue;
+
+                result.push({ index: col + dc + (row + dr) * grid.cols, cost: diagonal ? Math.SQRT2 : 1 });
+            }
+        }
+
+        return result;
+    }
+
+    // Octile distance between two cells, in cells
+    static heuristic(grid, a, b) {
+        const dx = Math.abs(a % grid.cols - b % grid.cols);
+        const dz = Math.abs(Math.floor(a / grid.cols) - Math.floor(b / grid.cols));
+        return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz);
+    }
+
+    // Index of the cell containing a point, clamped to the grid
+    static cellIndex(grid, x, z) {
+        const col = Math.min(Math.max(Math.floor((x - grid.originX) / grid.cellSize), 0), grid.cols - 1);
+        const row = Math.min(Math.max(Math.floor((z - grid.originZ) / grid.cellSize), 0), grid.rows - 1);
+        return col + row * grid.cols;
+    }
+
+    // Center of a cell on the XZ plane
+    static cellCenter(grid, index, target) {
+        return target.set(
+            grid.originX + (index % grid.cols + 0.5) * grid.cellSize,
+            0,
+            grid.originZ + (Math.floor(index / grid.cols) + 0.5) * grid.cellSize
+        );
+    }
+
+    // Binary min-heap of cell indices ordered by score
+    static heapPush(heap, score, index) {
+        heap.push(index);
+
+        let child = heap.length - 1;
+        while (child > 0) {
+            const parent = (child - 1) >> 1;
+            if (score[heap[parent]] <= score[heap[child]]) break;
+            [heap[parent], heap[child]] = [heap[child], heap[parent]];
+            child = parent;
+        }
+    }
+
+    static heapPop(heap, score) {
+        const top = heap[0];
+        const last = heap.pop();
+
+        if (heap.length > 0) {
+            heap[0] = last;
+
+            let parent = 0;
+            for (;;) {
+                const left = parent * 2 + 1;
+                const right = left + 1;
+                let smallest = parent;
+                if (left < heap.length && score[heap[left]] < score[heap[smallest]]) smallest = left;
+                if (right < heap.length && score[heap[right]] < score[heap[smallest]]) smallest = right;
+                if (smallest === parent) break;
+                [heap[parent], heap[smallest]] = [heap[smallest], heap[parent]];
+                parent = smallest;
+            }
+        }
+
+        return top;
+    }
+
+    // Mark blocked cells with red dots
+    static createDebugView(engine, grid) {
+        const positions = [];
+        const center = new THREE.Vector3();
+
+        grid.blocked.forEach((blocked, index) => {
+            if (!blocked) return;
+            Navigation.cellCenter(grid, index, center);
+            positions.push(center.x, Terrain.heightAt(engine, center.x, center.z) + 0.1, center.z);
+        });
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        const material = new THREE.PointsMaterial({ color: 0xff0000, size: 0.2 });
+
+        const points = new THREE.Points(geometry, material);
+        points.visible = engine.debugMode; // Redrawn after debug mode may have been switched off
+        engine.levelRoot.add(points);
+        engine.debugObjects.push(points);
+        grid.debugView = points;
+    }
+}
+
+// Width of a navigation cell in world units
+Navigation.cellSize = 1;
+
+// Spacing of the samples when checking a straight line for obstacles, in cells
+Navigation.lineStep = 0.25;
+
+// Seconds between path searches while following a moving target
+Navigation.repathInterval = 0.5;
+
+// Search again straight away when the target moves this far from where the path ends
+Navigation.repathDistance = 2;
+
+// Export the Navigation class
+window.Navigation = Navigation;
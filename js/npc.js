@@ -0,0 +1,130 @@
+/**
+ * NPC module for the Zelda-like 3D Game Engine
+ * Contains villagers the player can talk to
+ *
+ * Levels place them among the interactables:
+ * { "type": "npc", "position": [x, y, z], "name": "Old Man", "dialogue": <script> }
+ * where the dialogue is any script Dialogue.start accepts. Optional "color" tints their
+ * clothes and "rotation" is the direction they face when nobody is around.
+ */
+
+class NPC {
+    // Create a villager standing on the terrain
+    static create(engine, x, y, z, options = {}) {
+        const { object: npc, parts } = NPC.build(options.color || NPC.defaultColor);
+        npc.position.set(x, Terrain.heightAt(engine, x, z) + y, z);
+        npc.rotation.y = options.rotation || 0;
+        engine.levelRoot.add(npc);
+
+        // Talk when the player is close enough to use the interact key
+        npc.updateMatrixWorld(true); // Box must be computed in world space
+        const interactBox = new THREE.Box3().setFromObject(npc);
+        interactBox.expandByScalar(NPC.talkDistance);
+
+        const entity = ECS.createEntity(engine, 'npc', {
+            transform: Components.transform(npc),
+            renderable: Components.renderable(npc, parts),
+            collider: Components.collider(Collision.circle(NPC.radius, NPC.height)),
+            interactable: Components.interactable('npc', interactBox, () => NPC.talk(engine, entity)),
+            npc: Components.npc({
+                name: options.name || null,
+                dialogue: options.dialogue || '...',
+                facing: npc.rotation.y // Where they look when the player isn't near
+            })
+        });
+
+        return entity;
+    }
+
+    // Villager model - robe, head, hair and eyes, facing +z
+    static build(color) {
+        const npc = new THREE.Group();
+
+        const body = new THREE.Group();
+        npc.add(body);
+
+        // Robe
+        const robeGeometry = new THREE.CylinderGeometry(0.25, 0.4, 1, 12);
+        const robeMaterial = new THREE.MeshStandardMaterial({ color, roughness: 0.8 });
+        const robe = new THREE.Mesh(robeGeometry, robeMaterial);
+        robe.position.y = 0.5;
+        robe.castShadow = true;
+        body.add(robe);
+
+        // Head
+        const headGeometry = new THREE.SphereGeometry(0.25, 16, 16);
+        const skinMaterial = new THREE.MeshStandardMaterial({ color: 0xffdbac });
+        const head = new THREE.Mesh(headGeometry, skinMaterial);
+        head.position.y = 1.25;
+        head.castShadow = true;
+        body.add(head);
+
+        // Hair covering the top and back of the head
+        const hairGeometry = new THREE.SphereGeometry(0.27, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2);
+        const hairMaterial = new THREE.MeshStandardMaterial({ color: 0x6b4423 });
+        const hair = new THREE.Mesh(hairGeometry, hairMaterial);
+        hair.rotation.x = -0.4;
+        head.add(hair);
+
+        // Eyes
+        const eyeGeometry = new THREE.SphereGeometry(0.04, 8, 8);
+        const eyeMaterial = new THREE.MeshStandardMaterial({ color: 0x000000 });
+        [-0.09, 0.09].forEach(side => {
+            const eye = new THREE.Mesh(eyeGeometry, eyeMaterial);
+            eye.position.set(side, 0.03, 0.22);
+            head.add(eye);
+        });
+
+        return { object: npc, parts: { body, head } };
+    }
+
+    // Face the player and open the NPC's dialogue
+    static talk(engine, entity) {
+        if (engine.dialogue) return;
+
+        const npc = entity.transform.object;
+        npc.rotation.y = NPC.yawTowards(npc.position, engine.player.position);
+        Dialogue.start(engine, entity.npc.dialogue, { speaker: entity.npc.name });
+    }
+
+    // Rotation about y that turns the +z facing model from position towards target
+    static yawTowards(position, target) {
+        return Math.atan2(target.x - position.x, target.z - position.z);
+    }
+
+    // NPC system - breathe, and turn to look at a player who comes near
+    static update(engine, entity, deltaTime) {
+        const npc = entity.transform.object;
+        const { body } = entity.renderable.parts;
+
+        // Idle breathing
+        body.scale.y = 1 + Math.sin(engine.simTime * 2 + entity.id) * 0.02;
+
+        const near = npc.position.distanceTo(engine.player.position) < NPC.noticeDistance;
+        const targetYaw = near ? NPC.yawTowards(npc.position, engine.player.position) : entity.npc.facing;
+
+        // Turn the short way round
+        let turn = targetYaw - npc.rotation.y;
+        turn = Math.atan2(Math.sin(turn), Math.cos(turn));
+        npc.rotation.y += turn * Math.min(1, NPC.turnSpeed * deltaTime);
+    }
+}
+
+// Clothes color when the level doesn't give one
+NPC.defaultColor = 0x2e86c1;
+
+// Collision radius and height
+NPC.radius = 0.4;
+NPC.height = 1.5;
+
+// How far around the model the player can stand and still talk
+NPC.talkDistance = 0.8;
+
+// Distance at which NPCs turn to look at the player
+NPC.noticeDistance = 4;
+
+// How quickly NPCs turn (fraction of the remaining angle per second)
+NPC.turnSpeed = 5;
+
+// Export the NPC class
+window.NPC = NPC;
@@ -238,110 +238,41 @@ class Player {
         
         player.add(swordHolder);
         
-        // Create a better-looking sword with blade and hilt
-        // Blade
-        const swordBladeGeometry = new THREE.BoxGeometry(0.05, 0.6, 0.1);
-        const swordMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xcccccc,
-            roughness: 0.2,
-            metalness: 0.8 
-        });
-        const sword = new THREE.Mesh(swordBladeGeometry, swordMaterial);
-        // Position the sword to point forward
-        // This makes it point in the same direction as the character's face
-        sword.position.set(0, 0, 0.4); // Move forward (positive Z is forward)
-        sword.rotation.x = -Math.PI / 2; // Point sword forward
-        swordHolder.add(sword);
-        
-        // Sword handle
-        const handleGeometry = new THREE.CylinderGeometry(0.04, 0.04, 0.2, 8);
-        const handleMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x3d2314, // Dark brown
-            roughness: 0.7,
-            metalness: 0.1
-        });
-        const handle = new THREE.Mesh(handleGeometry, handleMaterial);
-        handle.position.y = -0.4;
-        handle.rotation.x = Math.PI / 2;
-        sword.add(handle);
-        
-        // Sword hilt
-        const hiltGeometry = new THREE.BoxGeometry(0.15, 0.03, 0.04);
-        const hiltMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xd4af37, // Gold
-            roughness: 0.3,
-            metalness: 0.9
-        });
-        const hilt = new THREE.Mesh(hiltGeometry, hiltMaterial);
-        hilt.position.y = -0.3;
-        sword.add(hilt);
-        
-        // Add debug helper to visualize attack hitbox
-        if (engine.debugMode) {
-            const hitboxGeometry = new THREE.SphereGeometry(0.3, 8, 8);
-            const hitboxMaterial = new THREE.MeshBasicMaterial({
-                color: 0xff0000,
-                transparent: true,
-                opacity: 0.3,
-                wireframe: true
-            });
-            const attackHitbox = new THREE.Mesh(hitboxGeometry, hitboxMaterial);
-            attackHitbox.position.set(0, 0, 1.0); // Position in front of player (positive Z)
-            attackHitbox.visible = false; // Hide until attacking
-            player.add(attackHitbox);
-            player.attackHitbox = attackHitbox;
-            engine.debugObjects.push(attackHitbox);
-        }
-
         // Create a shield holder
         const shieldHolder = new THREE.Object3D();
         shieldHolder.position.set(0, 1.1, 0); // Position at center of torso
         player.add(shieldHolder);
-        
-        // Create a better shield with emblem
-        const shieldBaseGeometry = new THREE.BoxGeometry(0.05, 0.5, 0.4);
-        // Taper the shield slightly with a custom shape
-        for (let i = 0; i < shieldBaseGeometry.attributes.position.count; i++) {
-            const y = shieldBaseGeometry.attributes.position.getY(i);
-            if (y < 0) { // Lower part of shield
-                const factor = 1 + (y * 0.5); // Taper more at bottom
-                shieldBaseGeometry.attributes.position.setZ(
-                    i, 
-                    shieldBaseGeometry.attributes.position.getZ(i) * factor
-                );
-            }
-        }
-        
-        const shieldMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0x244985, // Dark blue
-            roughness: 0.4,
-            metalness: 0.3 
-        });
-        const shield = new THREE.Mesh(shieldBaseGeometry, shieldMaterial);
-        shield.position.set(-0.3, 0, 0); // Position on the left side
-        shieldHolder.add(shield);
-        
-        // Shield emblem
-        const emblemGeometry = new THREE.CylinderGeometry(0.1, 0.1, 0.02, 3);
-        const emblemMaterial = new THREE.MeshStandardMaterial({ 
-            color: 0xd4af37, // Gold
-            roughness: 0.2,
-            metalness: 0.8 
-        });
-        const emblem = new THREE.Mesh(emblemGeometry, emblemMaterial);
-        emblem.position.z = 0.2;
-        emblem.position.y = 0.1;
-        emblem.rotation.x = Math.PI / 2;
-        shield.add(emblem);
-        
+
+        // The equipped sword and shield are added to the holders by Inventory.refreshEquipment
+
+        // Bow - only shown while aiming
+        const bow = Items.get('bow').build();
+        bow.position.set(0, Player.bowHeight, 0.5);
+        bow.rotation.z = Math.PI / 2; // Arc bends forward with its tips up and down
+        bow.rotation.y = -Math.PI / 2;
+        bow.visible = false;
+        player.add(bow);
+
         // Player properties
         player.velocity = new THREE.Vector3(0, 0, 0);
+        player.knockback = new THREE.Vector3(); // Horizontal velocity from the last hit, see Combat.knockback
+        player.invincibleUntil = 0; // Simulation time the player can be hurt again
         player.onGround = true;
         player.speed = 5;
         player.turnSpeed = 2;
         player.jumpHeight = 5;
         player.isAttacking = false;
-        player.radius = 0.3; // For collision detection
+        player.aiming = false; // Holding the bow drawn
+        player.drawStartTime = 0;
+        player.blocking = false; // Holding the shield up
+        player.blockStartTime = 0;
+        player.counterUntil = 0; // Simulation time the counterattack window after a parry closes
+        player.currentMove = null; // Name of the move in Player.moves being swung
+        player.comboStep = 0; // Next hit of the combo
+        player.comboUntil = 0; // Simulation time the chance to continue the combo runs out
+        player.attackBuffered = false; // Attack pressed mid-swing, to follow on when it ends
+        player.charging = false; // Holding attack to charge a spin attack
+        player.chargeStartTime = 0;
 
         // Store references to limbs for animations
         player.leftArm = leftUpperArm;
@@ -351,8 +282,10 @@ class Player {
         
         // Store references to weapon holders
         player.swordHolder = swordHolder;
-        player.sword = sword;
+        player.sword = null; // Blade mesh of the equipped sword
         player.shieldHolder = shieldHolder;
+        player.shield = null; // Mesh of the equipped shield
+        player.bow = bow;
         
         // Camera target (slightly above player's head)
         const cameraTarget = new THREE.Object3D();
@@ -363,6 +296,19 @@ class Player {
         // Position player in an open area
         player.position.set(5, 1.0, 5);
 
+        // The player entity carries health and the collision shape; it survives zone changes
+        engine.playerEntity = ECS.createEntity(engine, 'player', {
+            transform: Components.transform(player, true),
+            health: Components.health(Player.startingHearts * Player.healthPerHeart, Player.die),
+            // Capsule from the feet (1 unit below the origin) to above the head
+            collider: Components.collider(Collision.capsule(0.3, 2.5, -1.0), {
+                layer: Collision.layers.player,
+                mask: Collision.layers.world,
+                dynamic: true
+            })
+        });
+        engine.playerEntity.persistent = true;
+
         return player;
     }
 
@@ -370,6 +316,15 @@ class Player {
     static update(engine, deltaTime) {
         if (!engine.player) return;
 
+        // Input is frozen while dying or dead
+        if (engine.playerState !== 'alive') {
+            Player.updateDeath(engine, deltaTime);
+            return;
+        }
+
+        // Stand still while the hookshot is out - it moves the player itself when it pulls
+        if (SubWeapons.hookshotOut(engine)) return;
+
         // Store original position for collision detection
         const originalPosition = engine.player.position.clone();
 
@@ -411,11 +366,40 @@ class Player {
             right.applyEuler(new THREE.Euler(0, engine.mouseControls.cameraRotation.y, 0));
         }
 
-        // Apply movement based on keys
-        if (engine.keys.forward) playerDirection.add(forward);
-        if (engine.keys.backward) playerDirection.sub(forward);
-        if (engine.keys.right) playerDirection.add(right);
-        if (engine.keys.left) playerDirection.sub(right);
+        // Apply movement based on the move actions
+        if (Input.isDown(engine, 'moveForward')) playerDirection.add(forward);
+        if (Input.isDown(engine, 'moveBackward')) playerDirection.sub(forward);
+        if (Input.isDown(engine, 'moveRight')) playerDirection.add(right);
+        if (Input.isDown(engine, 'moveLeft')) playerDirection.sub(right);
+
+        // Analog stick or touch joystick - how far it's pushed scales the speed
+        let speedScale = 1;
+        const stick = Input.moveAxis(engine);
+        if (playerDirection.length() === 0 && (stick.x !== 0 || stick.y !== 0)) {
+            playerDirection.addScaledVector(forward, -stick.y).addScaledVector(right, stick.x);
+            speedScale = Math.min(playerDirection.length(), 1);
+        }
+
+        // Charging a spin attack slows the player down
+        Player.updateCharge(engine);
+        if (engine.player.charging) {
+            speedScale *= Player.chargeMoveScale;
+        }
+
+        // Shuffle slowly behind the shield, keeping it turned the same way
+        if (engine.player.blocking) {
+            speedScale *= Player.blockMoveScale;
+        }
+
+        // Walk slowly with the bow drawn, facing where it's aimed
+        if (engine.player.aiming) {
+            speedScale *= Player.aimMoveScale;
+
+            if (!engine.targetLocked) {
+                const aim = Player.aimDirection(engine).setY(0);
+                engine.player.lookAt(engine.player.position.clone().add(aim));
+            }
+        }
 
         // Add subtle bobbing effect and animate limbs when walking
         if (playerDirection.length() > 0) {
@@ -485,48 +469,24 @@ class Player {
             }
         }
 
+        // Knocked back by a hit - no steering until it dies down
+        if (Combat.updateKnockback(engine, engine.playerEntity, engine.player.knockback, deltaTime)) {
+            playerDirection.set(0, 0, 0);
+        }
+
         // Normalize movement vector and apply velocity
         if (playerDirection.length() > 0) {
             playerDirection.normalize();
 
             // Apply player speed
-            playerDirection.multiplyScalar(engine.player.speed * deltaTime);
-
-            // Calculate new position
-            const newPosition = engine.player.position.clone().add(playerDirection);
-
-            // Check for collisions before applying movement
-            if (!engine.checkCollision(newPosition)) {
-                // No collision, move freely
-                engine.player.position.copy(newPosition);
-            } else {
-                // Try sliding along X axis first
-                const slideX = engine.player.position.clone();
-                slideX.x = newPosition.x;
-
-                if (!engine.checkCollision(slideX)) {
-                    engine.player.position.copy(slideX);
-                } else {
-                    // Try sliding along Z axis if X failed
-                    const slideZ = engine.player.position.clone();
-                    slideZ.z = newPosition.z;
-
-                    if (!engine.checkCollision(slideZ)) {
-                        engine.player.position.copy(slideZ);
-                    } else {
-                        // Try to step over small obstacles
-                        const elevatedPosition = newPosition.clone();
-                        elevatedPosition.y += 0.1; // Try slightly higher
-                        
-                        if (!engine.checkCollision(elevatedPosition)) {
-                            engine.player.position.copy(elevatedPosition);
-                        }
-                    }
-                }
-            }
+            playerDirection.multiplyScalar(engine.player.speed * speedScale * deltaTime);
 
-            // Handle player orientation
-            if (!engine.targetLocked) {
+            // Move, sliding along anything in the way and along slopes too steep to climb
+            Terrain.limitSlope(engine, engine.player.position, playerDirection);
+            Collision.move(engine, engine.playerEntity, playerDirection);
+
+            // Handle player orientation - aiming and target lock set it above, blocking keeps it
+            if (!engine.targetLocked && !engine.player.aiming && !engine.player.blocking) {
                 // In Ocarina of Time, the character always faces in the direction they're moving
                 const moveDir = playerDirection.clone().normalize();
                 
@@ -544,48 +504,138 @@ class Player {
             engine.player.userData.lastStepTime = engine.player.userData.lastStepTime || 0;
             engine.player.userData.stepInterval = 0.3; // seconds between footsteps
 
-            if (performance.now() / 1000 - engine.player.userData.lastStepTime > engine.player.userData.stepInterval) {
+            if (engine.simTime - engine.player.userData.lastStepTime > engine.player.userData.stepInterval) {
                 // Create subtle dust at feet when moving
                 if (engine.player.onGround) {
                     Player.createFootstepDust(engine, engine.player.position.clone());
-                    engine.player.userData.lastStepTime = performance.now() / 1000;
+                    engine.player.userData.lastStepTime = engine.simTime;
                 }
             }
         }
 
         // Handle jumping
-        if (engine.keys.jump && engine.player.onGround) {
+        if (Input.isDown(engine, 'jump') && engine.player.onGround) {
             engine.player.velocity.y = engine.player.jumpHeight;
             engine.player.onGround = false;
             console.log("Player jumping");
         }
 
+        // Height of the player's origin when standing on the terrain here
+        const groundHeight = Terrain.heightAt(engine, engine.player.position.x, engine.player.position.z) + Player.groundOffset;
+
         // Apply gravity
         if (!engine.player.onGround) {
             engine.player.velocity.y -= 9.8 * deltaTime;
             engine.player.position.y += engine.player.velocity.y * deltaTime;
 
-            // Check ground collision - use 1.0 as the ground level now
-            if (engine.player.position.y <= 1.0) {
-                engine.player.position.y = 1.0;
+            // Check ground collision
+            if (engine.player.position.y <= groundHeight) {
+                const impactSpeed = -engine.player.velocity.y;
+                engine.player.position.y = groundHeight;
                 engine.player.velocity.y = 0;
                 engine.player.onGround = true;
                 console.log("Player landed on ground");
 
+                // Slide off anything we landed on top of
+                Collision.move(engine, engine.playerEntity, new THREE.Vector3());
+
                 // Create landing dust effect if falling from height
-                if (engine.player.velocity.y < -3) {
+                if (impactSpeed > 3) {
                     Player.createFootstepDust(engine, engine.player.position.clone(), 2);
                 }
+                Camera.landingShake(engine, impactSpeed);
             }
+        } else {
+            // Follow the ground over hills
+            engine.player.position.y = groundHeight;
         }
     }
 
-    // Handle player attack
+    // Handle the attack button being pressed
+    // The move depends on the situation: a jump slash in the air, a thrust when locked on,
+    // otherwise the next hit of the combo. Pressing again mid-swing queues the next combo hit.
     static attack(engine) {
-        if (engine.player.isAttacking) return;
+        const player = engine.player;
+        if (player.aiming || !player.sword || engine.playerState !== 'alive' || SubWeapons.hookshotOut(engine)) return;
+
+        // Holding the button charges a spin attack
+        player.chargeStartTime = engine.simTime;
+        player.charging = true;
 
-        engine.player.isAttacking = true;
-        console.log("Player attacking!");
+        if (player.isAttacking) {
+            if (Player.moves[player.currentMove].combo) {
+                player.attackBuffered = true;
+            }
+            return;
+        }
+
+        let move;
+        if (!player.onGround) {
+            move = 'jumpSlash';
+        } else if (engine.targetLocked && engine.currentTarget) {
+            move = 'thrust';
+        } else {
+            if (engine.simTime > player.comboUntil) player.comboStep = 0;
+            move = Player.comboMoves[player.comboStep];
+        }
+
+        Player.performMove(engine, move);
+    }
+
+    // Handle the attack button being released - lets loose a charged spin attack
+    static releaseAttack(engine) {
+        const player = engine.player;
+        if (!player.charging) return;
+
+        const charged = engine.simTime - player.chargeStartTime >= Player.spinChargeTime;
+        Player.stopCharging(engine);
+
+        if (charged && !player.isAttacking && !player.aiming && engine.playerState === 'alive') {
+            Player.performMove(engine, 'spin');
+        }
+    }
+
+    // Stop charging and take the glow off the sword
+    static stopCharging(engine) {
+        engine.player.charging = false;
+        engine.player.sword.material.emissive.setScalar(0);
+    }
+
+    // Glow the sword once the spin attack is charged
+    static updateCharge(engine) {
+        const player = engine.player;
+        if (!player.charging) return;
+
+        // The button may have been let go while input was frozen
+        if (!Input.isDown(engine, 'attack')) {
+            Player.stopCharging(engine);
+            return;
+        }
+
+        const charge = engine.simTime - player.chargeStartTime;
+        if (charge >= Player.spinChargeTime) {
+            // Pulse while ready
+            player.sword.material.emissive.setRGB(0.3, 0.6, 1).multiplyScalar(0.6 + 0.4 * Math.sin(charge * 20));
+        }
+    }
+
+    // Swing the sword with one of Player.moves
+    static performMove(engine, name) {
+        const player = engine.player;
+        const move = Player.moves[name];
+
+        // Swinging drops the guard
+        Player.lowerShield(engine);
+
+        // Better swords hit harder, and a swing right after a parry is a counterattack
+        let damage = move.damage * Inventory.equipped(engine, 'sword').damageScale;
+        if (engine.simTime < player.counterUntil) damage *= Player.counterDamageScale;
+        player.counterUntil = 0;
+
+        player.isAttacking = true;
+        player.currentMove = name;
+        player.attackBuffered = false;
+        console.log(`Player attacking: ${name}`);
 
         // If target locked, ensure we're facing the enemy before attacking
         if (engine.targetLocked && engine.currentTarget) {
@@ -598,188 +648,349 @@ class Player {
             // Face TOWARD the target (just like Link does when Z-targeting)
             const lookAtPosition = engine.player.position.clone().add(targetDirection);
             engine.player.lookAt(lookAtPosition);
-            
-            console.log("Attacking while locked on target - character facing toward target");
         }
 
-        // Store initial sword position and rotation
-        const initialRotation = engine.player.sword.rotation.x;
-        const initialPosition = engine.player.sword.position.clone();
-
-        // Create attack animation object
-        const attackAnimation = {
-            duration: 400, // ms - slightly faster swing
-            startTime: performance.now(),
-            complete: false
-        };
-
         // Create sword trail effect
-        Player.createSwordTrail(engine);
-        
-        // Determine attack direction vector (directly in front of player)
-        const attackDirection = new THREE.Vector3(0, 0, 1);
-        attackDirection.applyQuaternion(engine.player.quaternion);
-        
-        // Calculate attack position - exactly where the sword will strike
-        const attackPosition = engine.player.position.clone().add(
-            attackDirection.multiplyScalar(1.2)
-        );
-        
-        // Visualize attack area in debug mode
-        if (engine.debugMode && engine.player.attackHitbox) {
-            engine.player.attackHitbox.visible = true;
-            setTimeout(() => {
-                if (engine.player.attackHitbox) engine.player.attackHitbox.visible = false;
-            }, 400);
+        if (move.trail) {
+            Player.createSwordTrail(engine, move.trail);
         }
-        
-        console.log("Attack direction:", attackDirection);
-        console.log("Attack position:", attackPosition);
-
-        // Detect hits on enemies - moved to mid-swing for better timing
-        setTimeout(() => {
-            const hitEnemies = [];
-            engine.enemies.forEach(enemy => {
-                const distanceToEnemy = engine.player.position.distanceTo(enemy.position);
-                
-                // Calculate angle between player's forward direction and direction to enemy
-                const toEnemy = new THREE.Vector3()
-                    .subVectors(enemy.position, engine.player.position)
-                    .normalize();
-                toEnemy.y = 0; // Keep on horizontal plane
-                
-                const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(engine.player.quaternion);
-                const angleToEnemy = forward.angleTo(toEnemy);
-                
-                // Check if enemy is in front of player (within 45 degrees) and in range
-                const inAttackAngle = angleToEnemy < Math.PI / 4; // 45 degrees
-                const attackRange = engine.targetLocked && engine.currentTarget === enemy ? 3.0 : 2.0;
-                
-                console.log(`Enemy distance: ${distanceToEnemy.toFixed(2)}, angle: ${(angleToEnemy * 180 / Math.PI).toFixed(2)}°`);
-                
-                // Calculate if sword can hit enemy - better aligned with visual cues
-                // Use positive Z since the sword now points forward with the character
-                const swordTip = new THREE.Vector3(0, 0, 1.5).applyQuaternion(engine.player.quaternion).add(engine.player.position);
-                const swordDistance = enemy.position.distanceTo(swordTip);
-                console.log(`Sword tip distance to enemy: ${swordDistance.toFixed(2)}`);
-                
-                // Use wider attack angle when target locked and consider the sword's position
-                if ((engine.targetLocked && engine.currentTarget === enemy && distanceToEnemy < attackRange) || 
-                    (distanceToEnemy < attackRange && inAttackAngle) ||
-                    (swordDistance < 1.5)) {
-                    
-                    console.log("Hit enemy!", enemy);
-                    
-                    // Damage enemy
-                    enemy.health -= 1;
-                    hitEnemies.push(enemy);
-
-                    // Enemy knockback - keep it on the horizontal plane to avoid falling through the ground
-                    const knockbackDirection = new THREE.Vector3()
-                        .subVectors(enemy.position, engine.player.position)
-                        .normalize();
-                    
-                    // Ensure knockback is only horizontal (no Y component)
-                    knockbackDirection.y = 0;
-                    knockbackDirection.multiplyScalar(1);
 
-                    // Apply knockback on horizontal plane only
-                    enemy.position.x += knockbackDirection.x;
-                    enemy.position.z += knockbackDirection.z;
-                    
-                    // Ensure enemy stays at proper height
-                    enemy.position.y = Math.max(enemy.position.y, 0.8); // Minimum height to prevent falling
-
-                    // Visual feedback for hit at the actual hit location
-                    const hitLocation = enemy.position.clone().sub(knockbackDirection.multiplyScalar(0.3));
-                    Player.createHitEffect(engine, hitLocation);
-
-                    // Flash enemy red - find the body which has the material
-                    if (enemy.body && enemy.body.material) {
-                        const originalColor = enemy.body.material.color.clone();
-                        enemy.body.material.color.set(0xFF0000);
-                        setTimeout(() => {
-                            if (enemy.parent && enemy.body) { // Check if enemy still exists
-                                enemy.body.material.color.copy(originalColor);
-                            }
-                        }, 200);
-                    }
+        // Step into thrusts, slam down from jump attacks
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(player.quaternion).setY(0).normalize();
+        if (move.lunge) {
+            Collision.move(engine, engine.playerEntity, forward.clone().multiplyScalar(move.lunge));
+        }
+        if (move.slam) {
+            player.velocity.y = Math.min(player.velocity.y, -move.slam);
+        }
 
-                    // Check if enemy is defeated - make sure health can't go below 0
-                    enemy.health = Math.max(0, enemy.health);
-                    
-                    if (enemy.health <= 0) {
-                        console.log("Enemy defeated!");
-                        
-                        // Create death effect
-                        Player.createDeathEffect(engine, enemy.position);
-
-                        // Wait a moment for the death effect before removing
-                        setTimeout(() => {
-                            // Double-check the enemy still exists and isn't already removed
-                            if (enemy && enemy.parent) {
-                                engine.scene.remove(enemy);
-                            }
-
-                            // Remove from enemies array
-                            const index = engine.enemies.indexOf(enemy);
-                            if (index > -1) {
-                                engine.enemies.splice(index, 1);
-                            }
-
-                            // Remove as target if targeted
-                            if (engine.currentTarget === enemy) {
-                                engine.currentTarget = null;
-                                engine.targetLocked = false;
-                                engine.reticle.style.display = 'none';
-                            }
-                        }, 100);
+        // Each enemy can only be hit once per swing
+        const hitEnemies = [];
+        let lastBlade = null;
+
+        Tween.start(engine, {
+            duration: move.duration,
+            owner: engine.player,
+            onUpdate: (progress, deltaTime, elapsed) => {
+                move.pose(engine, progress);
+
+                // Sweep the blade from where it was last step to where it is now
+                const blade = Player.bladeSegment(engine);
+                if (lastBlade && elapsed >= move.hitStart && elapsed <= move.hitEnd) {
+                    Player.sweepSword(engine, lastBlade, blade, move, damage, hitEnemies);
+                }
+                lastBlade = blade;
+            },
+            onComplete: () => {
+                Player.restSword(player);
+                player.isAttacking = false;
+                player.currentMove = null;
+
+                // Leave a moment to continue the combo
+                const comboIndex = Player.comboMoves.indexOf(name);
+                if (comboIndex !== -1) {
+                    player.comboStep = (comboIndex + 1) % Player.comboMoves.length;
+                    player.comboUntil = engine.simTime + Player.comboWindow;
+                }
+
+                // A press during the swing carries straight on into the next hit
+                if (player.attackBuffered) {
+                    player.attackBuffered = false;
+                    if (engine.playerState === 'alive' && !player.aiming) {
+                        Player.performMove(engine, Player.comboMoves[player.comboStep]);
                     }
                 }
-            });
-        }, 200); // Execute hit detection earlier in the swing
+            }
+        });
+    }
 
-        // Animate the sword swing
-        const animateSwordSwing = (timestamp) => {
-            if (!engine.player.isAttacking) return;
+    // Ends of the sword blade in world space
+    static bladeSegment(engine) {
+        const sword = engine.player.sword;
+        const halfLength = sword.geometry.parameters.height / 2;
 
-            const elapsed = timestamp - attackAnimation.startTime;
-            const progress = Math.min(elapsed / attackAnimation.duration, 1);
+        engine.player.updateMatrixWorld(true);
+        return new THREE.Line3(
+            sword.localToWorld(new THREE.Vector3(0, halfLength, 0)),
+            sword.localToWorld(new THREE.Vector3(0, -halfLength, 0))
+        );
+    }
 
-            if (progress < 0.5) {
-                // Forward swing (0 to 0.5)
-                const swingProgress = progress * 2; // Scale to 0-1
-                
-                // Swing sword forward - now using swordHolder to rotate entire sword group
-                engine.player.swordHolder.rotation.y = engine.lerp(0, -Math.PI/2, engine.easeOutQuad(swingProgress));
-                
-                // Also adjust the sword's own rotation for extra effect
-                engine.player.sword.rotation.x = engine.lerp(initialRotation, initialRotation + Math.PI/4, engine.easeOutQuad(swingProgress));
-            } else {
-                // Return swing (0.5 to 1)
-                const returnProgress = (progress - 0.5) * 2; // Scale to 0-1
-                
-                // Return sword to original position
-                engine.player.swordHolder.rotation.y = engine.lerp(-Math.PI/2, 0, engine.easeInOutQuad(returnProgress));
-                engine.player.sword.rotation.x = engine.lerp(initialRotation + Math.PI/4, initialRotation, engine.easeInOutQuad(returnProgress));
+    // Damage enemies the blade passed through between two steps of a swing
+    // The area the blade swept is the quad between its old and new positions, flattened
+    // onto the ground; an enemy is hit if its collider circle touches that quad
+    static sweepSword(engine, from, to, move, damage, hitEnemies) {
+        const flat = point => new THREE.Vector3(point.x, 0, point.z);
+        const closest = new THREE.Vector3();
+        const corners = [flat(from.start), flat(from.end), flat(to.end), flat(to.start)];
+
+        // A blade pointing straight up or down flattens to a point or a line; those
+        // triangles have no inside, and their barycentric test is numerically unreliable
+        const triangles = [
+            new THREE.Triangle(corners[0], corners[1], corners[2]),
+            new THREE.Triangle(corners[0], corners[2], corners[3])
+        ].filter(triangle => triangle.getArea() > Player.sweepEpsilon);
+        const edges = corners.map((corner, i) => new THREE.Line3(corner, corners[(i + 1) % corners.length]));
+        const distanceToEdge = (edge, point) => edge.distance() > Player.sweepEpsilon
+            ? edge.closestPointToPoint(point, true, closest).distanceTo(point)
+            : edge.start.distanceTo(point);
+
+        if (engine.debugMode) {
+            Player.createSweepDebugView(engine, [from.start, from.end, to.end, to.start]);
+        }
+
+        engine.enemies.forEach(enemy => {
+            // Enemies already on their way out can't be hit again
+            if (enemy.health.dead || hitEnemies.includes(enemy)) return;
+            if (Math.abs(enemy.position.y - engine.player.position.y) > Player.swordHeightReach) return;
+
+            const center = flat(enemy.position);
+            const reach = enemy.collider.shape.radius + Player.swordHitRadius;
+            const touched = triangles.some(triangle => triangle.containsPoint(center)) ||
+                edges.some(edge => distanceToEdge(edge, center) <= reach);
+            if (!touched) return;
+
+            hitEnemies.push(enemy);
+            Combat.hitEnemy(engine, enemy, { damage, from: engine.player.position, knockback: move.knockback });
+        });
+    }
+
+    // Show one step of a sword sweep as a fading red quad
+    static createSweepDebugView(engine, corners) {
+        const geometry = new THREE.BufferGeometry().setFromPoints(corners);
+        geometry.setIndex([0, 1, 2, 0, 2, 3]);
+        const material = new THREE.MeshBasicMaterial({
+            color: 0xff0000,
+            transparent: true,
+            opacity: 0.4,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+
+        const sweep = new THREE.Mesh(geometry, material);
+        engine.scene.add(sweep);
+
+        Tween.start(engine, {
+            duration: 0.5,
+            owner: sweep,
+            onUpdate: (progress) => {
+                material.opacity = 0.4 * (1 - progress);
+            },
+            onComplete: () => {
+                engine.scene.remove(sweep);
+                geometry.dispose();
+                material.dispose();
             }
+        });
+    }
+
+    // Put the sword back where it's held between swings
+    static restSword(player) {
+        player.swordHolder.rotation.set(0, 0, 0);
+        player.sword.rotation.x = Player.swordRestRotation;
+        player.sword.position.z = Player.swordRestReach;
+    }
+
+    // Sword poses for each move, given progress through the move from 0 to 1
+    // Most swings go out in the first half and come back in the second
+    static swingAmount(engine, progress) {
+        return progress < 0.5 ? engine.easeOutQuad(progress * 2) : 1 - engine.easeInOutQuad((progress - 0.5) * 2);
+    }
+
+    static poseSlash(engine, progress) {
+        const swing = Player.swingAmount(engine, progress);
+        engine.player.swordHolder.rotation.y = -Math.PI / 2 * swing;
+        engine.player.sword.rotation.x = Player.swordRestRotation + Math.PI / 4 * swing;
+    }
+
+    static poseBackslash(engine, progress) {
+        const swing = Player.swingAmount(engine, progress);
+        engine.player.swordHolder.rotation.y = Math.PI / 2 * swing;
+        engine.player.sword.rotation.x = Player.swordRestRotation + Math.PI / 4 * swing;
+    }
+
+    // Raised overhead, then brought straight down
+    static poseChop(engine, progress) {
+        const raise = engine.easeOutQuad(Math.min(progress / 0.3, 1));
+        const strike = engine.easeOutQuad(THREE.MathUtils.clamp((progress - 0.3) / 0.4, 0, 1));
+        const recover = engine.easeInOutQuad(THREE.MathUtils.clamp((progress - 0.7) / 0.3, 0, 1));
+        engine.player.sword.rotation.x = Player.swordRestRotation + (Math.PI / 2 * raise - Math.PI * 3 / 4 * strike) * (1 - recover);
+    }
+
+    // A full turn with the arm held out
+    static poseSpin(engine, progress) {
+        const extend = Math.min(Math.sin(Math.PI * progress) * 2, 1);
+        engine.player.swordHolder.rotation.y = -Math.PI * 2 * engine.easeInOutQuad(progress);
+        engine.player.sword.position.z = Player.swordRestReach + 0.6 * extend;
+    }
+
+    static poseThrust(engine, progress) {
+        engine.player.sword.position.z = Player.swordRestReach + 0.6 * Player.swingAmount(engine, progress);
+    }
+
+    // Raise the shield in front of the player
+    static raiseShield(engine) {
+        if (engine.playerState !== 'alive' || engine.player.isAttacking || engine.player.aiming || !engine.player.shield ||
+            SubWeapons.hookshotOut(engine)) return;
 
-            if (progress < 1) {
-                requestAnimationFrame(animateSwordSwing);
-            } else {
-                // Reset after animation completes
-                engine.player.swordHolder.rotation.y = 0;
-                engine.player.sword.rotation.x = initialRotation;
-                engine.player.isAttacking = false;
+        engine.player.blocking = true;
+        engine.player.blockStartTime = engine.simTime;
+        Player.turnShield(engine, Player.shieldRaisedRotation);
+    }
+
+    // Lower the shield back to the player's side
+    static lowerShield(engine) {
+        if (!engine.player.blocking) return;
+
+        engine.player.blocking = false;
+        Player.turnShield(engine, 0);
+    }
+
+    // Swing the shield holder around to an angle
+    static turnShield(engine, rotation) {
+        const holder = engine.player.shieldHolder;
+        const start = holder.rotation.y;
+
+        if (holder.userData.turn) holder.userData.turn.cancel();
+        holder.userData.turn = Tween.start(engine, {
+            duration: 0.1,
+            ease: 'easeOutQuad',
+            owner: engine.player,
+            onUpdate: (t) => {
+                holder.rotation.y = engine.lerp(start, rotation, t);
             }
-        };
+        });
+    }
+
+    // Check how the raised shield meets a hit from a position
+    // Returns 'parry' right after raising it, 'block' for hits straight on, 'glance' for hits
+    // near its edge, or null when the shield is down or the hit comes from the side or behind
+    static guard(engine, from) {
+        const player = engine.player;
+        const shield = Inventory.equipped(engine, 'shield');
+        if (!player.blocking || !shield) return null;
+
+        const forward = new THREE.Vector3(0, 0, 1).applyQuaternion(player.quaternion).setY(0);
+        const toAttacker = new THREE.Vector3().subVectors(from, player.position).setY(0);
+        const angle = forward.angleTo(toAttacker);
+
+        if (angle > shield.blockAngle) return null;
+        if (engine.simTime - player.blockStartTime <= Player.parryWindow) return 'parry';
+        return angle <= shield.fullBlockAngle ? 'block' : 'glance';
+    }
+
+    // Sparks and a shove back when something hits the shield
+    static shieldImpact(engine, from) {
+        const shieldPosition = new THREE.Vector3();
+        engine.player.shield.getWorldPosition(shieldPosition);
+        Player.createHitEffect(engine, shieldPosition);
+
+        const pushback = new THREE.Vector3().subVectors(engine.player.position, from).setY(0).normalize();
+        Collision.move(engine, engine.playerEntity, pushback.multiplyScalar(Player.blockPushback));
+    }
+
+    // Turn an attack aside at the last moment: the attacker staggers and the player can counter
+    static parry(engine, hit) {
+        console.log("Parry!");
+        Player.shieldImpact(engine, hit.from);
+
+        // Flash the shield
+        const material = engine.player.shield.material;
+        material.emissive.set(0xffffff);
+        Tween.start(engine, {
+            duration: 0.3,
+            owner: engine.player,
+            onUpdate: (t) => {
+                material.emissive.setScalar(1 - t);
+            }
+        });
 
-        // Start animation
-        requestAnimationFrame(animateSwordSwing);
+        if (hit.attacker && hit.attacker.tag === 'enemy') {
+            Enemy.stagger(engine, hit.attacker);
+        }
+        engine.player.counterUntil = engine.simTime + Player.counterWindow;
+    }
+
+    // Raise the bow and start drawing it
+    static drawBow(engine) {
+        if (!SubWeapons.ready(engine)) return;
+
+        Player.lowerShield(engine);
+
+        engine.player.aiming = true;
+        engine.player.drawStartTime = engine.simTime;
+        engine.player.bow.visible = true;
+        engine.crosshair.style.display = engine.targetLocked ? 'none' : 'block';
+    }
+
+    // Loose an arrow - the longer the bow was drawn, the faster it flies
+    // Returns whether an arrow was shot
+    static fireBow(engine) {
+        if (!engine.player.aiming) return false;
+        Player.lowerBow(engine);
+
+        const draw = Math.min((engine.simTime - engine.player.drawStartTime) / Player.bowDrawTime, 1);
+        const speed = engine.lerp(Player.arrowMinSpeed, Player.arrowMaxSpeed, draw);
+
+        const direction = Player.aimDirection(engine);
+        const start = engine.player.position.clone();
+        start.y += Player.bowHeight;
+        start.addScaledVector(direction, 0.6);
+
+        // Shaft with a tip, pointing along +Z
+        const arrow = new THREE.Group();
+        const shaft = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.02, 0.02, 0.8, 6),
+            new THREE.MeshStandardMaterial({ color: 0xdeb887 })
+        );
+        shaft.rotation.x = Math.PI / 2;
+        arrow.add(shaft);
+        const tip = new THREE.Mesh(
+            new THREE.ConeGeometry(0.05, 0.15, 6),
+            new THREE.MeshStandardMaterial({ color: 0x7f8c8d, metalness: 0.6 })
+        );
+        tip.rotation.x = Math.PI / 2;
+        tip.position.z = 0.45;
+        arrow.add(tip);
+
+        Projectile.spawn(engine, {
+            mesh: arrow,
+            position: start,
+            velocity: direction.multiplyScalar(speed),
+            gravity: Player.arrowGravity,
+            radius: 0.1,
+            damage: 1,
+            knockback: 0.5,
+            mask: Collision.layers.world | Collision.layers.enemy,
+            owner: engine.playerEntity,
+            align: true
+        });
+
+        console.log(`Arrow fired at ${speed.toFixed(1)} units/s`);
+        return true;
+    }
+
+    // Put the bow away without shooting
+    static lowerBow(engine) {
+        engine.player.aiming = false;
+        engine.player.bow.visible = false;
+        engine.crosshair.style.display = 'none';
+    }
+
+    // Direction the bow is pointed: at the locked-on target, or where the camera looks
+    static aimDirection(engine) {
+        if (engine.targetLocked && engine.currentTarget) {
+            const from = engine.player.position.clone();
+            from.y += Player.bowHeight;
+            return new THREE.Vector3().subVectors(engine.currentTarget.position, from).normalize();
+        }
+
+        return engine.camera.getWorldDirection(new THREE.Vector3());
     }
 
     // Create sword trail effect
-    static createSwordTrail(engine) {
+    // sweep is { arc, direction }: how far the swing sweeps and which way (1 forehand, -1 backhand)
+    static createSwordTrail(engine, sweep) {
         // Get sword tip position in world space - now at the end of sword
         const swordTip = new THREE.Vector3(0, 0, 0.7); // End of sword (positive Z)
         engine.player.sword.localToWorld(swordTip);
@@ -797,14 +1008,15 @@ class Player {
         
         // Create curved path for trail that follows the sword's sweeping motion
         const radius = 0.9; // Slightly wider arc
-        const swingAngle = Math.PI / 2; // 90-degree swing
+        const swingAngle = sweep.arc;
+        const segments = Math.ceil(18 * swingAngle / (Math.PI / 2)); // Keep wide arcs as smooth
         
         console.log("Creating sword trail, player facing:", forward);
 
         // Create a horizontal swing arc (matches the new sword animation)
-        for (let i = 0; i <= 18; i++) {
+        for (let i = 0; i <= segments; i++) {
             // Create a curved arc
-            const segment = i / 18;
+            const segment = i / segments;
             
             // Calculate the swing angle for this segment - now horizontal sweep
             const segmentAngle = swingAngle * segment;
@@ -812,12 +1024,12 @@ class Player {
             // Calculate the position for this segment - rotating around player's vertical axis
             const swingRotation = new THREE.Quaternion().setFromAxisAngle(
                 up,          // Rotate around Y axis (vertical)
-                -segmentAngle // Negative angle for correct sweep direction
+                -segmentAngle * sweep.direction // Negative angle for correct sweep direction
             );
             
-            // Start vector is forward and slightly right
+            // Start vector is forward and slightly to the side the swing starts from
             const startVec = forward.clone().multiplyScalar(radius);
-            startVec.add(right.clone().multiplyScalar(radius * 0.3));
+            startVec.add(right.clone().multiplyScalar(radius * 0.3 * sweep.direction));
             
             // Apply rotation for this segment
             startVec.applyQuaternion(swingRotation);
@@ -855,25 +1067,16 @@ class Player {
         engine.scene.add(trail);
 
         // Animate trail fade out
-        const startTime = performance.now();
-        const duration = 350; // Match animation speed
-
-        const animateTrail = (timestamp) => {
-            const elapsed = timestamp - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            if (trail.material) {
+        Tween.start(engine, {
+            duration: 0.35, // Match animation speed
+            owner: trail,
+            onUpdate: (progress) => {
                 trail.material.opacity = 0.8 * (1 - progress);
-            }
-
-            if (progress < 1) {
-                requestAnimationFrame(animateTrail);
-            } else {
+            },
+            onComplete: () => {
                 engine.scene.remove(trail);
             }
-        };
-
-        requestAnimationFrame(animateTrail);
+        });
     }
 
     // Create hit effect at position
@@ -912,33 +1115,28 @@ class Player {
         particles.position.copy(position);
         engine.scene.add(particles);
 
-        // Animate particles
-        const startTime = performance.now();
-        const duration = 400;
-
-        const animateParticles = (timestamp) => {
-            const elapsed = timestamp - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            particles.children.forEach(particle => {
-                // Move particle
-                particle.position.add(particle.userData.velocity);
-
-                // Add gravity
-                particle.userData.velocity.y -= 0.002;
-
-                // Fade out
-                particle.material.opacity = 1 - progress;
-            });
-
-            if (progress < 1) {
-                requestAnimationFrame(animateParticles);
-            } else {
+        // Animate particles - velocities are in units per 1/60 s
+        Tween.start(engine, {
+            duration: 0.4,
+            owner: particles,
+            onUpdate: (progress, deltaTime) => {
+                const frames = deltaTime * 60;
+
+                particles.children.forEach(particle => {
+                    // Move particle
+                    particle.position.addScaledVector(particle.userData.velocity, frames);
+
+                    // Add gravity
+                    particle.userData.velocity.y -= 0.002 * frames;
+
+                    // Fade out
+                    particle.material.opacity = 1 - progress;
+                });
+            },
+            onComplete: () => {
                 engine.scene.remove(particles);
             }
-        };
-
-        requestAnimationFrame(animateParticles);
+        });
     }
 
     // Create death effect for enemies
@@ -976,37 +1174,32 @@ class Player {
         particleGroup.position.copy(position);
         engine.scene.add(particleGroup);
 
-        // Animate explosion
-        const startTime = performance.now();
-        const duration = 600;
-
-        const animateExplosion = (timestamp) => {
-            const elapsed = timestamp - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            particleGroup.children.forEach(particle => {
-                // Move particle
-                particle.position.add(particle.userData.velocity);
-
-                // Add gravity
-                particle.userData.velocity.y -= 0.003;
-
-                // Fade out
-                particle.material.opacity = 1 - progress;
-
-                // Scale up slightly
-                const scale = 1 + progress;
-                particle.scale.set(scale, scale, scale);
-            });
-
-            if (progress < 1) {
-                requestAnimationFrame(animateExplosion);
-            } else {
+        // Animate explosion - velocities are in units per 1/60 s
+        Tween.start(engine, {
+            duration: 0.6,
+            owner: particleGroup,
+            onUpdate: (progress, deltaTime) => {
+                const frames = deltaTime * 60;
+
+                particleGroup.children.forEach(particle => {
+                    // Move particle
+                    particle.position.addScaledVector(particle.userData.velocity, frames);
+
+                    // Add gravity
+                    particle.userData.velocity.y -= 0.003 * frames;
+
+                    // Fade out
+                    particle.material.opacity = 1 - progress;
+
+                    // Scale up slightly
+                    const scale = 1 + progress;
+                    particle.scale.set(scale, scale, scale);
+                });
+            },
+            onComplete: () => {
                 engine.scene.remove(particleGroup);
             }
-        };
-
-        requestAnimationFrame(animateExplosion);
+        });
     }
 
     // Create dust effect for footsteps or landing
@@ -1047,42 +1240,39 @@ class Player {
         dustGroup.position.y = 0.05;
         engine.scene.add(dustGroup);
 
-        // Animate dust particles
-        const startTime = performance.now();
-        const duration = 600 * scale;
-
-        const animateDust = (timestamp) => {
-            const elapsed = timestamp - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            dustGroup.children.forEach(dust => {
-                // Move dust particle
-                dust.position.add(dust.userData.velocity);
-
-                // Add slight gravity and air resistance
-                dust.userData.velocity.y -= 0.001;
-                dust.userData.velocity.multiplyScalar(0.97);
-
-                // Fade out
-                dust.material.opacity = 0.4 * (1 - progress);
-
-                // Expand slightly
-                const scale = 1 + progress * 0.5;
-                dust.scale.set(scale, scale, scale);
-            });
-
-            if (progress < 1) {
-                requestAnimationFrame(animateDust);
-            } else {
+        // Animate dust particles - velocities are in units per 1/60 s
+        Tween.start(engine, {
+            duration: 0.6 * scale,
+            owner: dustGroup,
+            onUpdate: (progress, deltaTime) => {
+                const frames = deltaTime * 60;
+
+                dustGroup.children.forEach(dust => {
+                    // Move dust particle
+                    dust.position.addScaledVector(dust.userData.velocity, frames);
+
+                    // Add slight gravity and air resistance
+                    dust.userData.velocity.y -= 0.001 * frames;
+                    dust.userData.velocity.multiplyScalar(Math.pow(0.97, frames));
+
+                    // Fade out
+                    dust.material.opacity = 0.4 * (1 - progress);
+
+                    // Expand slightly
+                    const dustScale = 1 + progress * 0.5;
+                    dust.scale.set(dustScale, dustScale, dustScale);
+                });
+            },
+            onComplete: () => {
                 engine.scene.remove(dustGroup);
             }
-        };
-
-        requestAnimationFrame(animateDust);
+        });
     }
 
     // Reset player position if stuck
     static resetPosition(engine) {
+        if (engine.playerState !== 'alive') return false;
+
         // Find a clear position to place the player
         console.log("Resetting player position due to being stuck");
         
@@ -1118,41 +1308,264 @@ class Player {
         return true;
     }
 
-    // Handle player damage
-    static takeDamage(engine, amount) {
-        engine.playerHealth = Math.max(0, engine.playerHealth - amount);
+    // Restore health, amount in quarter hearts; returns false if it was already full
+    static heal(engine, amount) {
+        if (engine.playerHealth >= engine.maxHealth) return false;
+
+        engine.playerHealth = Math.min(engine.maxHealth, engine.playerHealth + amount);
         UI.updateHealth(engine);
+        return true;
+    }
 
-        // Player knockback
-        const knockbackDirection = new THREE.Vector3()
-            .subVectors(engine.player.position, engine.currentTarget ? engine.currentTarget.position : engine.camera.position)
-            .normalize()
-            .multiplyScalar(2);
-        knockbackDirection.y = 1;
-        engine.player.position.add(knockbackDirection);
-
-        // Visual feedback for damage
-        const flashInterval = setInterval(() => {
-            engine.player.visible = !engine.player.visible;
-        }, 100);
-
-        setTimeout(() => {
-            clearInterval(flashInterval);
-            engine.player.visible = true;
-        }, 500);
-
-        // Death
-        if (engine.playerHealth <= 0) {
-            alert('Game Over! Refresh to restart.');
-
-            // Death animation
-            engine.player.rotation.x = -Math.PI / 2; // Fall over
-        }
+    // Check whether max health has grown as far as Player.maxHearts allows
+    static atMaxHearts(engine) {
+        return engine.maxHealth >= Player.maxHearts * Player.healthPerHeart;
+    }
+
+    // Grow max health by a heart and fill it all up - check Player.atMaxHearts first
+    static addHeartContainer(engine) {
+        engine.maxHealth = Math.min(engine.maxHealth + Player.healthPerHeart, Player.maxHearts * Player.healthPerHeart);
+        engine.playerHealth = engine.maxHealth;
+        UI.createHealth(engine);
+    }
+
+    // Handle player damage, amount in quarter hearts
+    // from is where the hit came from; the player is knocked away from it
+    static takeDamage(engine, amount, from) {
+        // A dying or dead player can't be hurt again, nor can one still blinking from the last hit
+        if (engine.playerState !== 'alive' || engine.simTime < engine.player.invincibleUntil) return;
+
+        engine.playerHealth = Math.max(0, engine.playerHealth - amount);
+        UI.updateHealth(engine);
+        Combat.hitStop(engine, Combat.playerHitStop);
 
         // Create hit effect at player position
         Player.createHitEffect(engine, engine.player.position.clone());
+
+        // Out of health - the health system starts the death sequence
+        if (engine.playerHealth <= 0) return;
+
+        // Player knockback - slide away from the hit with a little hop
+        const knockbackSource = from || (engine.currentTarget ? engine.currentTarget.position : engine.camera.position);
+        Combat.knockback(engine.player.knockback, knockbackSource, engine.player.position, Player.knockbackDistance);
+        engine.player.velocity.y = Player.knockbackHop;
+        engine.player.onGround = false;
+
+        // Visual feedback for damage - blink every 0.1 seconds while invincible
+        engine.player.invincibleUntil = engine.simTime + Player.invincibilityTime;
+        Tween.start(engine, {
+            duration: Player.invincibilityTime,
+            owner: engine.player,
+            onUpdate: (progress, deltaTime, elapsed) => {
+                engine.player.visible = Math.floor(elapsed / 0.1) % 2 === 1;
+            },
+            onComplete: () => {
+                engine.player.visible = true;
+            }
+        });
+    }
+
+    // Start the death sequence: input is frozen until the player picks Continue or Retry
+    static die(engine) {
+        engine.playerState = 'dying';
+        engine.deathTime = 0;
+        engine.player.visible = true;
+        engine.player.velocity.set(0, 0, 0);
+        engine.player.knockback.set(0, 0, 0);
+        engine.player.isAttacking = false;
+        engine.player.attackBuffered = false;
+        engine.player.comboStep = 0;
+        Player.stopCharging(engine);
+        Player.lowerBow(engine);
+        Player.lowerShield(engine);
+
+        // Release target lock
+        engine.targetLocked = false;
+        engine.currentTarget = null;
+        engine.reticle.style.display = 'none';
+    }
+
+    // Play the death sequence, then show the game over screen
+    static updateDeath(engine, deltaTime) {
+        if (engine.playerState !== 'dying') return;
+
+        engine.deathTime += deltaTime;
+        const progress = Math.min(engine.deathTime / Player.deathDuration, 1);
+
+        // Fall over and sink slightly
+        engine.player.rotation.x = engine.lerp(0, -Math.PI / 2, engine.easeOutQuad(progress));
+        const lyingHeight = Terrain.heightAt(engine, engine.player.position.x, engine.player.position.z) + 0.6;
+        engine.player.position.y = engine.lerp(engine.player.position.y, lyingHeight, progress);
+
+        if (progress >= 1) {
+            engine.playerState = 'dead';
+            UI.showGameOver(engine, choice => Player.respawn(engine, choice));
+        }
+    }
+
+    // Respawn at the last checkpoint with health restored
+    // choice is 'continue' or 'retry', see Player.respawnRules
+    static respawn(engine, choice) {
+        const rules = Player.respawnRules[choice];
+        const checkpoint = engine.checkpoint;
+
+        // Revive the checkpoint zone's defeated enemies if the rules ask for it
+        const reviveEnemies = rules.reviveDefeatedEnemies
+            ? Environment.loadLevelData(checkpoint.level).then(level => {
+                (level.enemies || []).forEach((enemyData, index) => {
+                    engine.defeatedEnemies.delete(Environment.objectId(level, 'enemy', index, enemyData));
+                });
+            }).catch(error => {
+                // Still respawn rather than leave the player stuck on a dead screen
+                console.error(`Failed to revive enemies of ${checkpoint.level}:`, error);
+            })
+            : Promise.resolve();
+
+        return reviveEnemies.then(() => {
+            engine.playerHealth = engine.maxHealth;
+            engine.playerEntity.health.dead = false;
+            UI.updateHealth(engine);
+
+            engine.player.rotation.x = 0;
+
+            // Reloading the zone puts surviving enemies back at their spawn points with full health
+            return Zone.enter(engine, checkpoint.level, checkpoint.spawn);
+        }).then(() => {
+            engine.playerState = 'alive';
+        });
     }
 }
 
+// Seconds the death sequence plays before the game over screen appears
+Player.deathDuration = 1.5;
+
+// Height of the player's origin above the terrain surface when standing
+Player.groundOffset = 1.3;
+
+// Height above the player's origin that the bow is held and arrows leave from
+Player.bowHeight = 0.9;
+
+// Seconds to draw the bow fully
+Player.bowDrawTime = 1;
+
+// Arrow speed from a quick shot up to a full draw, in units per second
+Player.arrowMinSpeed = 15;
+Player.arrowMaxSpeed = 30;
+
+// Downward acceleration of arrows - less than real gravity so they fly flat
+Player.arrowGravity = 4;
+
+// Movement speed multiplier while aiming the bow
+Player.aimMoveScale = 0.4;
+
+// Movement speed multiplier while holding the shield up
+Player.blockMoveScale = 0.5;
+
+// Shield holder rotation that brings the shield from the player's side to the front
+Player.shieldRaisedRotation = Math.PI / 2;
+
+// Fraction of damage that gets through a glancing block
+Player.glancingDamage = 0.5;
+
+// Seconds after raising the shield during which a hit is parried
+Player.parryWindow = 0.2;
+
+// Seconds after a parry during which a swing is a counterattack
+Player.counterWindow = 1;
+
+// Damage multiplier of a counterattack
+Player.counterDamageScale = 2;
+
+// How far a blocked hit shoves the player back
+Player.blockPushback = 0.3;
+
+// Sword pose between swings: how far in front it's held and its tilt
+Player.swordRestReach = 0.4;
+Player.swordRestRotation = -Math.PI / 2;
+
+// Sword moves:
+//   duration - seconds the whole move takes
+//   hitStart, hitEnd - seconds into the move during which the blade is cutting
+//   damage, knockback - passed to Combat for each enemy hit
+//   pose     - pose(engine, progress) animates the sword
+//   trail    - { arc, direction } of the sword trail, or null for none
+//   combo    - part of the combo chain, so a press mid-swing queues the next hit
+//   lunge    - distance the player steps forward, so combo hits keep up with a knocked back enemy
+//   slam     - downward speed given to the player in the air
+Player.moves = {
+    slash: {
+        duration: 0.35, hitStart: 0, hitEnd: 0.18,
+        damage: 1, knockback: 0.25,
+        pose: Player.poseSlash, trail: { arc: Math.PI / 2, direction: 1 }, combo: true, lunge: 0.25
+    },
+    backslash: {
+        duration: 0.35, hitStart: 0, hitEnd: 0.18,
+        damage: 1, knockback: 0.25,
+        pose: Player.poseBackslash, trail: { arc: Math.PI / 2, direction: -1 }, combo: true, lunge: 0.25
+    },
+    finisher: {
+        duration: 0.5, hitStart: 0.15, hitEnd: 0.35,
+        damage: 2, knockback: 1.5,
+        pose: Player.poseChop, trail: null, combo: true
+    },
+    spin: {
+        duration: 0.5, hitStart: 0, hitEnd: 0.5,
+        damage: 2, knockback: 2,
+        pose: Player.poseSpin, trail: { arc: Math.PI * 2, direction: 1 }
+    },
+    jumpSlash: {
+        duration: 0.45, hitStart: 0.13, hitEnd: 0.32,
+        damage: 2, knockback: 1,
+        pose: Player.poseChop, trail: null, slam: 4
+    },
+    thrust: {
+        duration: 0.3, hitStart: 0, hitEnd: 0.15,
+        damage: 1, knockback: 1.5,
+        pose: Player.poseThrust, trail: null, lunge: 0.5
+    }
+};
+
+// Order of the combo chain
+Player.comboMoves = ['slash', 'backslash', 'finisher'];
+
+// Seconds after a combo hit ends in which attacking continues the chain
+Player.comboWindow = 0.4;
+
+// Seconds attack has to be held to charge a spin attack
+Player.spinChargeTime = 0.8;
+
+// Movement speed multiplier while charging a spin attack
+Player.chargeMoveScale = 0.6;
+
+// Enemies further above or below the player than this are out of the sword's reach
+Player.swordHeightReach = 2;
+
+// How far past the blade's edge a sweep still connects, so grazing blows count
+Player.swordHitRadius = 0.5;
+
+// Sweep areas and lengths smaller than this count as empty
+Player.sweepEpsilon = 1e-6;
+
+// Seconds after being hurt before the player can be hurt again
+Player.invincibilityTime = 1;
+
+// How far a hit knocks the player back, and the upward speed of the hop that goes with it
+Player.knockbackDistance = 2;
+Player.knockbackHop = 3;
+
+// Player health counts quarter hearts, this many to a heart
+Player.healthPerHeart = 4;
+
+// Hearts a new game starts with, and the most heart containers can raise that to
+Player.startingHearts = 3;
+Player.maxHearts = 20;
+
+// What happens to the world when respawning after death
+// Continue keeps progress; Retry also revives every enemy defeated in the checkpoint zone
+Player.respawnRules = {
+    continue: { reviveDefeatedEnemies: false },
+    retry: { reviveDefeatedEnemies: true }
+};
+
 // Export the Player class
 window.Player = Player;
\ No newline at end of file
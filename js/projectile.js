@@ -0,0 +1,165 @@
+/**
+ * Projectile module for the Zelda-like 3D Game Engine
+ * Contains things that fly under their own velocity: spat rocks, arrows
+ *
+ * Projectiles are entities with a projectile component. Each simulation step they fall
+ * with their gravity and move in pieces no longer than their radius, so fast ones can't
+ * skip through thin obstacles. The first collider they touch (from the layers in their
+ * mask) or the ground ends their flight; characters they hit take damage through Combat.
+ */
+
+class Projectile {
+    // Launch a projectile
+    // options:
+    //   mesh      - Object3D to fly; it's added to the level
+    //   position  - starting point
+    //   velocity  - units per second
+    //   gravity   - downward acceleration (0 for a straight shot)
+    //   lifetime  - seconds before it disappears on its own
+    //   radius    - size of its collision sphere
+    //   damage, knockback - passed to Combat when it hits someone
+    //   mask      - Collision.layers bits it can hit
+    //   owner     - entity that fired it, which it never hits
+    //   align     - point the mesh's +Z along the direction of flight (arrows)
+    static spawn(engine, options) {
+        const mesh = options.mesh;
+        mesh.position.copy(options.position);
+        engine.levelRoot.add(mesh);
+
+        const radius = options.radius || 0.15;
+
+        const entity = ECS.createEntity(engine, 'projectile', {
+            transform: Components.transform(mesh, true),
+            renderable: Components.renderable(mesh),
+            projectile: Components.projectile({
+                velocity: options.velocity.clone(),
+                gravity: options.gravity || 0,
+                lifetime: options.lifetime || 3,
+                radius,
+                shape: Collision.circle(radius, radius * 2, -radius),
+                damage: options.damage || 1,
+                knockback: options.knockback !== undefined ? options.knockback : 0.5,
+                mask: options.mask,
+                owner: options.owner || null,
+                align: !!options.align
+            })
+        });
+
+        Projectile.align(entity);
+        return entity;
+    }
+
+    // Projectile system - fly, then hit whatever is in the way
+    static update(engine, entity, deltaTime) {
+        const projectile = entity.projectile;
+        const object = entity.transform.object;
+
+        projectile.age += deltaTime;
+        if (projectile.age > projectile.lifetime) {
+            ECS.destroyEntity(engine, entity);
+            return;
+        }
+
+        projectile.velocity.y -= projectile.gravity * deltaTime;
+
+        const step = projectile.velocity.clone().multiplyScalar(deltaTime);
+        const pieces = Math.max(1, Math.ceil(step.length() / projectile.radius));
+        step.divideScalar(pieces);
+
+        for (let i = 0; i < pieces; i++) {
+            object.position.add(step);
+
+            // Hit the ground
+            if (object.position.y < Terrain.heightAt(engine, object.position.x, object.position.z)) {
+                Projectile.impact(engine, entity, null);
+                return;
+            }
+
+            const contacts = Collision.overlaps(engine, projectile.shape, object.position, {
+                layer: Collision.layers.all,
+                mask: projectile.mask,
+                ignore: projectile.owner
+            });
+            if (contacts.length > 0) {
+                Projectile.impact(engine, entity, contacts[0].entity);
+                return;
+            }
+        }
+
+        Projectile.align(entity);
+    }
+
+    // End a projectile's flight against a collider (or the ground, when target is null)
+    static impact(engine, entity, target) {
+        const projectile = entity.projectile;
+        const position = entity.transform.object.position.clone();
+
+        // Hits come from where the projectile was flying from
+        const hit = {
+            damage: projectile.damage,
+            from: position.clone().sub(projectile.velocity.clone().normalize()),
+            knockback: projectile.knockback,
+            attacker: projectile.owner
+        };
+
+        if (target && target.tag === 'enemy') {
+            Combat.hitEnemy(engine, target, hit);
+        } else if (target && target === engine.playerEntity) {
+            // A parried projectile flies back where it came from
+            if (Combat.hitPlayer(engine, hit) === 'parried') {
+                Projectile.reflect(engine, entity);
+                return;
+            }
+        } else {
+            // Puff of dust where it struck the world
+            Player.createFootstepDust(engine, position);
+        }
+
+        ECS.destroyEntity(engine, entity);
+    }
+
+    // Send a projectile back the way it came, now hitting enemies instead of the player
+    static reflect(engine, entity) {
+        const projectile = entity.projectile;
+
+        projectile.velocity.x *= -1;
+        projectile.velocity.z *= -1;
+        projectile.velocity.y = Math.abs(projectile.velocity.y);
+        projectile.owner = engine.playerEntity;
+        projectile.mask = Collision.layers.world | Collision.layers.enemy;
+        projectile.damage = Projectile.reflectedDamage; // Was in quarter hearts, for the player
+        projectile.age = 0;
+
+        Projectile.align(entity);
+    }
+
+    // Point an arrow along its flight
+    static align(entity) {
+        const projectile = entity.projectile;
+        if (!projectile.align || projectile.velocity.lengthSq() === 0) return;
+
+        entity.transform.object.quaternion.setFromUnitVectors(
+            Projectile.forward,
+            projectile.velocity.clone().normalize()
+        );
+    }
+
+    // Velocity that carries a projectile from start to end in a gravity arc at the given horizontal speed
+    static arcVelocity(start, end, speed, gravity) {
+        const horizontal = new THREE.Vector3(end.x - start.x, 0, end.z - start.z);
+        const time = Math.max(horizontal.length() / speed, 0.1);
+
+        return horizontal
+            .divideScalar(time)
+            .setY((end.y - start.y) / time + 0.5 * gravity * time);
+    }
+}
+
+// Direction an aligned projectile's mesh points in
+Projectile.forward = new THREE.Vector3(0, 0, 1);
+
+// Damage a parried projectile does to the enemy it flies back into
+Projectile.reflectedDamage = 1;
+
+// Export the Projectile class
+window.Projectile = Projectile;
@@ -0,0 +1,211 @@
+/**
+ * Save module for the Zelda-like 3D Game Engine
+ * Contains saving and loading game state to localStorage save slots
+ */
+
+class SaveSystem {
+    // Key of a save slot in localStorage
+    static slotKey(slot) {
+        return `${SaveSystem.storagePrefix}${slot}`;
+    }
+
+    // Serialize the current game state
+    static serialize(engine) {
+        return {
+            version: SaveSystem.version,
+            savedAt: Date.now(),
+            zone: {
+                level: engine.levelSource,
+                name: engine.level.name
+            },
+            player: {
+                health: engine.playerHealth,
+                maxHealth: engine.maxHealth,
+                position: engine.player.position.toArray(),
+                rotation: engine.player.rotation.y
+            },
+            dayTime: engine.dayTime,
+            defeatedEnemies: Array.from(engine.defeatedEnemies),
+            collectedHearts: Array.from(engine.collectedHearts),
+            collectedItems: Array.from(engine.collectedItems),
+            flags: Object.assign({}, engine.flags),
+            inventory: Inventory.serialize(engine)
+        };
+    }
+
+    // Save the game to a slot
+    static save(engine, slot) {
+        if (!SaveSystem.canSaveOrLoad(engine)) return false;
+
+        const data = SaveSystem.serialize(engine);
+
+        try {
+            localStorage.setItem(SaveSystem.slotKey(slot), JSON.stringify(data));
+        } catch (error) {
+            console.error(`Failed to save to slot ${slot}:`, error);
+            return false;
+        }
+
+        console.log(`Game saved to slot ${slot}`);
+        return true;
+    }
+
+    // Read a slot and upgrade it to the current schema, or null if it's empty or unreadable
+    static read(slot) {
+        const json = localStorage.getItem(SaveSystem.slotKey(slot));
+        if (!json) return null;
+
+        try {
+            return SaveSystem.check(SaveSystem.migrate(JSON.parse(json)));
+        } catch (error) {
+            console.error(`Save slot ${slot} is corrupt:`, error);
+            return null;
+        }
+    }
+
+    // Check the parts of save data that loading relies on
+    static check(data) {
+        if (!data.zone || typeof data.zone.level !== 'string') {
+            throw new Error('Save is missing its zone');
+        }
+        if (!data.player || !Array.isArray(data.player.position)) {
+            throw new Error('Save is missing the player');
+        }
+
+        return data;
+    }
+
+    // Upgrade save data from older schema versions one step at a time
+    static migrate(data) {
+        let version = data.version || 1;
+
+        if (version > SaveSystem.version) {
+            throw new Error(`Save version ${version} is newer than this engine (${SaveSystem.version})`);
+        }
+
+        while (version < SaveSystem.version) {
+            data = SaveSystem.migrations[version](data);
+            version++;
+            data.version = version;
+        }
+
+        return data;
+    }
+
+    // Load the game from a slot
+    static load(engine, slot) {
+        if (!SaveSystem.canSaveOrLoad(engine)) return Promise.resolve(false);
+
+        const data = SaveSystem.read(slot);
+        if (!data) {
+            console.log(`Save slot ${slot} is empty`);
+            return Promise.resolve(false);
+        }
+
+        // Progress goes in just before the zone is built so defeated enemies and collected hearts and
+        // items stay gone, and comes back out if the zone can't be loaded
+        return Zone.enter(engine, data.zone.level, {
+            position: data.player.position,
+            rotation: data.player.rotation
+        }, () => SaveSystem.apply(engine, data)).then(loaded => {
+            console.log(loaded ? `Game loaded from slot ${slot}` : `Failed to load slot ${slot}`);
+            return loaded;
+        });
+    }
+
+    // Put saved progress into the game; returns a function that puts back the progress it replaced
+    static apply(engine, data) {
+        const replaced = SaveSystem.serialize(engine);
+
+        engine.defeatedEnemies = new Set(data.defeatedEnemies);
+        engine.collectedHearts = new Set(data.collectedHearts);
+        engine.collectedItems = new Set(data.collectedItems);
+        engine.flags = Object.assign({}, data.flags);
+        engine.dayTime = data.dayTime;
+        engine.maxHealth = data.player.maxHealth;
+        engine.playerHealth = data.player.health;
+        UI.createHealth(engine);
+        Inventory.restore(engine, data.inventory);
+
+        return () => SaveSystem.apply(engine, replaced);
+    }
+
+    // Short description of each slot for menus
+    static listSlots() {
+        const slots = [];
+
+        for (let slot = 1; slot <= SaveSystem.slotCount; slot++) {
+            const data = SaveSystem.read(slot);
+            slots.push({
+                slot,
+                label: data
+                    ? `${data.zone.name} - ${new Date(data.savedAt).toLocaleString()}`
+                    : 'Empty',
+                empty: !data
+            });
+        }
+
+        return slots;
+    }
+
+    // Check whether the game can be saved or loaded - not mid zone change, nor while
+    // the player is dying or dead (a save would keep 0 health, a load wouldn't revive them)
+    static canSaveOrLoad(engine) {
+        return !engine.transitioning && engine.playerState === 'alive';
+    }
+
+    // Open the save menu
+    static openSaveMenu(engine) {
+        if (!SaveSystem.canSaveOrLoad(engine)) return;
+
+        UI.showSlotMenu(engine, 'Save Game', SaveSystem.listSlots(), slot => {
+            SaveSystem.save(engine, slot);
+        });
+    }
+
+    // Open the load menu
+    static openLoadMenu(engine) {
+        if (!SaveSystem.canSaveOrLoad(engine)) return;
+
+        const slots = SaveSystem.listSlots().filter(slot => !slot.empty);
+        UI.showSlotMenu(engine, 'Load Game', slots, slot => {
+            SaveSystem.load(engine, slot);
+        });
+    }
+}
+
+// Current save schema version - bump it and add a migration whenever the format changes
+SaveSystem.version = 4;
+
+// Number of save slots
+SaveSystem.slotCount = 3;
+
+// localStorage key prefix of save slots
+SaveSystem.storagePrefix = 'zelda-like-save-';
+
+// Functions upgrading save data from version N to N + 1, keyed by N
+SaveSystem.migrations = {
+    // Version 2 added story flags set by dialogue
+    1: data => Object.assign({ flags: {} }, data),
+
+    // Version 3 added the inventory, and item pickups taken from levels
+    2: data => Object.assign({
+        inventory: {
+            items: Object.assign({}, Inventory.startingItems),
+            equipped: Object.assign({}, Inventory.startingEquipment),
+            buttons: Inventory.startingButtons.slice()
+        },
+        collectedItems: []
+    }, data),
+
+    // Version 4 counts health in quarter hearts
+    3: data => Object.assign({}, data, {
+        player: Object.assign({}, data.player, {
+            health: data.player.health * Player.healthPerHeart,
+            maxHealth: data.player.maxHealth * Player.healthPerHeart
+        })
+    })
+};
+
+// Export the SaveSystem class
+window.SaveSystem = SaveSystem;
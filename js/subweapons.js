@@ -0,0 +1,499 @@
+/**
+ * Sub-weapons module for the Zelda-like 3D Game Engine
+ * Contains the bombs, boomerang and hookshot used from the item buttons
+ *
+ * Each sub-weapon is a button item (see Items) whose use(engine, item) calls in here, and its
+ * numbers (fuse, range, speeds, ...) live on the item definition. Once thrown or fired it's an
+ * entity run by its own system:
+ * - bombs land, flash faster and faster as the fuse burns down, then blow up everything near
+ *   them: enemies, the player, breakable rocks and other bombs
+ * - the boomerang swerves out to its range, homes back to the player's hand, stuns enemies it
+ *   hits and brings back loot and item pickups it reaches on the way out
+ * - the hookshot chain runs out to whatever the aim ray hit; hookable things (see
+ *   Collision.layers.hookable) pull the player over to them, enemies are stunned
+ * Sub-weapons are thrown the way the player faces, or at the locked-on target.
+ */
+
+class SubWeapons {
+    // Check whether the player is free to use a sub-weapon
+    static ready(engine) {
+        const player = engine.player;
+        return engine.playerState === 'alive' && !player.isAttacking && !player.aiming && !SubWeapons.hookshotOut(engine);
+    }
+
+    // Check whether a sub-weapon entity is still out in the world
+    static isOut(entity) {
+        return !!entity && !entity.destroyed;
+    }
+
+    // Direction to send a sub-weapon: at the locked-on target, or straight ahead of the player
+    static aimDirection(engine) {
+        if (engine.targetLocked && engine.currentTarget) {
+            return new THREE.Vector3().subVectors(engine.currentTarget.position, SubWeapons.handPosition(engine)).normalize();
+        }
+
+        return new THREE.Vector3(0, 0, 1).applyQuaternion(engine.player.quaternion).setY(0).normalize();
+    }
+
+    // Where sub-weapons leave from and come back to
+    static handPosition(engine) {
+        const hand = engine.player.position.clone();
+        hand.y += SubWeapons.handHeight;
+        return hand;
+    }
+
+    // ----- Bombs -----
+
+    // Light a bomb and toss it a little way ahead; returns whether one was thrown
+    static throwBomb(engine, item) {
+        if (!SubWeapons.ready(engine)) return false;
+
+        const direction = SubWeapons.aimDirection(engine).setY(0).normalize();
+
+        const model = item.build();
+        model.traverse(object => {
+            object.castShadow = true;
+        });
+        const bombGroup = new THREE.Group();
+        bombGroup.add(model);
+        bombGroup.position.copy(SubWeapons.handPosition(engine)).addScaledVector(direction, 0.5);
+        engine.levelRoot.add(bombGroup);
+
+        ECS.createEntity(engine, 'bomb', {
+            transform: Components.transform(bombGroup, true),
+            renderable: Components.renderable(bombGroup, { model }),
+            bomb: Components.bomb({
+                item,
+                fuse: item.fuse,
+                velocity: direction.multiplyScalar(SubWeapons.bombTossSpeed).setY(SubWeapons.bombTossHeight)
+            })
+        });
+
+        return true;
+    }
+
+    // Bomb system - fall and settle, flash as the fuse burns down, then blow up
+    static updateBomb(engine, entity, deltaTime) {
+        const bomb = entity.bomb;
+        const object = entity.transform.object;
+
+        bomb.fuse -= deltaTime;
+        if (bomb.fuse <= 0) {
+            SubWeapons.explode(engine, entity);
+            return;
+        }
+
+        if (!bomb.resting) {
+            bomb.velocity.y -= SubWeapons.gravity * deltaTime;
+            object.position.addScaledVector(bomb.velocity, deltaTime);
+
+            // Stop against walls and trees
+            Collision.overlaps(engine, SubWeapons.bombShape, object.position, { mask: Collision.layers.world }).forEach(contact => {
+                object.position.addScaledVector(contact.normal, contact.depth);
+                bomb.velocity.x = 0;
+                bomb.velocity.z = 0;
+            });
+
+            const ground = Terrain.heightAt(engine, object.position.x, object.position.z) + SubWeapons.bombRestHeight;
+            if (object.position.y <= ground) {
+                object.position.y = ground;
+                bomb.resting = true;
+            }
+        }
+
+        // Flash red, faster the closer the blast
+        bomb.flash += deltaTime * SubWeapons.bombFlashRate / Math.max(bomb.fuse, SubWeapons.bombFlashFuse);
+        const lit = Math.floor(bomb.flash) % 2 === 1;
+        entity.renderable.parts.model.material.emissive.setHex(lit ? 0xff2200 : 0x000000);
+    }
+
+    // Blow a bomb up - shields don't help against the blast
+    static explode(engine, entity) {
+        const item = entity.bomb.item;
+        const center = entity.position.clone();
+        ECS.destroyEntity(engine, entity);
+
+        SubWeapons.createExplosionEffect(engine, center, item.blastRadius);
+
+        const inBlast = other => other.position.distanceTo(center) <= item.blastRadius;
+        const hit = { from: center, knockback: item.knockback, unblockable: true };
+
+        engine.enemies.filter(inBlast).forEach(enemy => {
+            Combat.hitEnemy(engine, enemy, Object.assign({ damage: item.damage }, hit));
+        });
+        if (inBlast(engine.playerEntity)) {
+            Combat.hitPlayer(engine, Object.assign({ damage: item.playerDamage }, hit));
+        }
+
+        ECS.query(engine, 'breakable', 'transform').filter(inBlast).forEach(other => {
+            other.breakable.onBreak(engine, other);
+        });
+
+        // Set off other bombs caught in the blast a moment later
+        ECS.query(engine, 'bomb', 'transform').filter(inBlast).forEach(other => {
+            other.bomb.fuse = Math.min(other.bomb.fuse, SubWeapons.chainDelay);
+        });
+    }
+
+    // Fireball that swells to the blast radius and fades, with a puff of smoke
+    static createExplosionEffect(engine, position, radius) {
+        const fireball = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 12),
+            new THREE.MeshBasicMaterial({ color: 0xffa726, transparent: true, depthWrite: false })
+        );
+        fireball.position.copy(position);
+        engine.scene.add(fireball);
+
+        Tween.start(engine, {
+            duration: SubWeapons.explosionDuration,
+            ease: 'easeOutQuad',
+            owner: fireball,
+            onUpdate: progress => {
+                fireball.scale.setScalar(Math.max(radius * progress, 0.01));
+                fireball.material.opacity = 1 - progress;
+            },
+            onComplete: () => {
+                engine.scene.remove(fireball);
+            }
+        });
+
+        Player.createFootstepDust(engine, position, 3);
+    }
+
+    // ----- Boomerang -----
+
+    // Throw the boomerang, unless it's already out; returns whether it was thrown
+    static throwBoomerang(engine, item) {
+        if (!SubWeapons.ready(engine) || SubWeapons.isOut(engine.player.boomerang)) return false;
+
+        const model = item.build();
+        const boomerangGroup = new THREE.Group();
+        boomerangGroup.add(model);
+        boomerangGroup.position.copy(SubWeapons.handPosition(engine));
+        engine.levelRoot.add(boomerangGroup);
+
+        engine.player.boomerang = ECS.createEntity(engine, 'boomerang', {
+            transform: Components.transform(boomerangGroup, true),
+            renderable: Components.renderable(boomerangGroup, { model }),
+            boomerang: Components.boomerang({
+                item,
+                velocity: SubWeapons.aimDirection(engine).multiplyScalar(item.speed)
+            })
+        });
+
+        return true;
+    }
+
+    // Boomerang system - swerve out, home back in, stun and fetch along the way
+    static updateBoomerang(engine, entity, deltaTime) {
+        const boomerang = entity.boomerang;
+        const item = boomerang.item;
+        const object = entity.transform.object;
+
+        boomerang.age += deltaTime;
+        entity.renderable.parts.model.rotation.y += SubWeapons.boomerangSpin * deltaTime;
+
+        // Out too long (stuck, or the player is gone) - drop what it carries and vanish
+        if (boomerang.age > SubWeapons.boomerangMaxFlight || engine.playerState !== 'alive') {
+            SubWeapons.dropCarried(entity);
+            ECS.destroyEntity(engine, entity);
+            return;
+        }
+
+        if (boomerang.returning) {
+            const toHand = SubWeapons.handPosition(engine).sub(object.position);
+            if (toHand.length() < SubWeapons.catchDistance) {
+                SubWeapons.catchBoomerang(engine, entity);
+                return;
+            }
+            boomerang.velocity.copy(toHand.normalize().multiplyScalar(item.speed));
+        } else {
+            boomerang.velocity.applyAxisAngle(SubWeapons.up, item.curve * deltaTime);
+            if (boomerang.age * item.speed >= item.range) boomerang.returning = true;
+        }
+
+        object.position.addScaledVector(boomerang.velocity, deltaTime);
+        boomerang.carried.forEach(other => SubWeapons.carry(other, object.position));
+
+        // Stun enemies it passes, each once per throw
+        Collision.overlaps(engine, SubWeapons.boomerangShape, object.position, { mask: Collision.layers.enemy }).forEach(contact => {
+            const enemy = contact.entity;
+            if (enemy.tag !== 'enemy') return;
+            boomerang.returning = true;
+
+            if (boomerang.stunned.includes(enemy)) return;
+            boomerang.stunned.push(enemy);
+            Enemy.stun(engine, enemy, item.stunTime);
+            Player.createHitEffect(engine, object.position.clone());
+        });
+
+        // On the way out the ground and anything solid below it send it back, so it can't
+        // sail over walls and rocks
+        const above = object.position.y - Terrain.heightAt(engine, object.position.x, object.position.z);
+        if (!boomerang.returning && (above < 0 || Collision.overlaps(engine, SubWeapons.boomerangColumn(above), object.position, {
+            mask: Collision.layers.world
+        }).length > 0)) {
+            boomerang.returning = true;
+        }
+
+        SubWeapons.fetch(engine, entity);
+    }
+
+    // Collision shape from the ground up to a boomerang flying above it
+    static boomerangColumn(above) {
+        const shape = SubWeapons.boomerangShape;
+        return Collision.circle(shape.radius, above + shape.bottom + shape.height, -above);
+    }
+
+    // Pick up loot and item pickups the boomerang flies through, and head home with them
+    // Only on the way out, where walls turn it back, and never through something solid
+    static fetch(engine, entity) {
+        const boomerang = entity.boomerang;
+        if (boomerang.returning) return;
+
+        engine.entities.forEach(other => {
+            if (!SubWeapons.fetchable(other) || boomerang.carried.includes(other)) return;
+
+            const toOther = other.position.clone().sub(entity.position);
+            const distance = toOther.length();
+            if (distance > SubWeapons.fetchDistance) return;
+            if (Collision.raycast(engine, entity.position, toOther.normalize(), distance, { mask: Collision.layers.world })) return;
+
+            if (other.loot) other.loot.carried = true;
+            boomerang.carried.push(other);
+            boomerang.returning = true;
+        });
+    }
+
+    // Check whether the boomerang can bring something back
+    static fetchable(entity) {
+        return !!entity.loot || (!!entity.interactable && SubWeapons.fetchTypes.includes(entity.interactable.type));
+    }
+
+    // Move a fetched entity along with the boomerang
+    static carry(entity, position) {
+        const object = entity.transform.object;
+        const offset = position.clone().sub(object.position);
+        object.position.copy(position);
+
+        // Take the interaction area along too, in case it's dropped
+        if (entity.interactable) entity.interactable.box.translate(offset);
+    }
+
+    // Let go of everything the boomerang was carrying where it is
+    static dropCarried(entity) {
+        entity.boomerang.carried.forEach(other => {
+            if (other.loot) other.loot.carried = false;
+        });
+    }
+
+    // The boomerang is back in the player's hand - hand over whatever it fetched
+    static catchBoomerang(engine, entity) {
+        ECS.destroyEntity(engine, entity);
+
+        entity.boomerang.carried.forEach(other => {
+            if (other.destroyed) return;
+
+            if (other.loot) {
+                Loot.collect(engine, other);
+            } else {
+                other.interactable.action();
+            }
+        });
+    }
+
+    // ----- Hookshot -----
+
+    // Check whether the hookshot is out - the player stands still until it's back
+    static hookshotOut(engine) {
+        return SubWeapons.isOut(engine.player.hookshot);
+    }
+
+    // Fire the hookshot at whatever is ahead; returns whether it was fired
+    static fireHookshot(engine, item) {
+        if (!SubWeapons.ready(engine)) return false;
+
+        const direction = SubWeapons.aimDirection(engine);
+        const hit = Collision.raycast(engine, SubWeapons.handPosition(engine), direction, item.range, {
+            mask: Collision.layers.world | Collision.layers.enemy,
+            ignore: engine.playerEntity
+        });
+
+        const chain = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.02, 0.02, 1, 6),
+            new THREE.MeshStandardMaterial({ color: 0x95a5a6, roughness: 0.3, metalness: 0.8 })
+        );
+        const tip = Items.buildHookTip();
+        const hookGroup = new THREE.Group();
+        hookGroup.add(chain, tip);
+        engine.levelRoot.add(hookGroup);
+
+        engine.player.velocity.set(0, 0, 0);
+        engine.player.hookshot = ECS.createEntity(engine, 'hookshot', {
+            transform: Components.transform(hookGroup),
+            renderable: Components.renderable(hookGroup, { chain, tip }),
+            hookshot: Components.hookshot({
+                item,
+                direction,
+                hit,
+                reach: hit ? hit.distance : item.range
+            })
+        });
+        SubWeapons.placeChain(engine, engine.player.hookshot);
+
+        return true;
+    }
+
+    // Hookshot system - run the chain out, pull the player in or reel it back
+    static updateHookshot(engine, entity, deltaTime) {
+        const hookshot = entity.hookshot;
+        const item = hookshot.item;
+
+        if (engine.playerState !== 'alive') {
+            ECS.destroyEntity(engine, entity);
+            return;
+        }
+
+        if (hookshot.state === 'extend') {
+            hookshot.length = Math.min(hookshot.length + item.speed * deltaTime, hookshot.reach);
+            if (hookshot.length >= hookshot.reach) SubWeapons.latch(engine, entity);
+        } else if (hookshot.state === 'pull') {
+            SubWeapons.pull(engine, entity, deltaTime);
+        } else {
+            hookshot.length -= item.speed * deltaTime;
+            if (hookshot.length <= 0) ECS.destroyEntity(engine, entity);
+        }
+
+        if (!entity.destroyed) SubWeapons.placeChain(engine, entity);
+    }
+
+    // The tip reached the end of the chain - latch onto what it hit, or stun it, or come back
+    static latch(engine, entity) {
+        const hookshot = entity.hookshot;
+        const target = hookshot.hit && hookshot.hit.entity;
+
+        if (target && !target.destroyed && (target.collider.layer & Collision.layers.hookable)) {
+            hookshot.state = 'pull';
+            hookshot.anchor = hookshot.hit.point.clone();
+            return;
+        }
+
+        if (target && target.tag === 'enemy') {
+            Enemy.stun(engine, target, hookshot.item.stunTime);
+            Player.createHitEffect(engine, hookshot.hit.point.clone());
+        } else if (hookshot.hit) {
+            Player.createFootstepDust(engine, hookshot.hit.point.clone()); // Clanked off
+        }
+        hookshot.state = 'retract';
+    }
+
+    // Pull the player towards the anchor until they get there or run into something
+    static pull(engine, entity, deltaTime) {
+        const hookshot = entity.hookshot;
+        const player = engine.player;
+
+        const toAnchor = hookshot.anchor.clone().sub(SubWeapons.handPosition(engine));
+        const remaining = toAnchor.length() - SubWeapons.hookStopDistance;
+        if (remaining <= 0) {
+            SubWeapons.letGo(engine, entity);
+            return;
+        }
+
+        const step = toAnchor.normalize().multiplyScalar(Math.min(hookshot.item.pullSpeed * deltaTime, remaining));
+        const horizontal = new THREE.Vector3(step.x, 0, step.z);
+        const start = player.position.clone();
+
+        Collision.move(engine, engine.playerEntity, horizontal.clone());
+        const ground = Terrain.heightAt(engine, player.position.x, player.position.z) + Player.groundOffset;
+        player.position.y = Math.max(player.position.y + step.y, ground);
+
+        // Something's in the way
+        const moved = new THREE.Vector3(player.position.x - start.x, 0, player.position.z - start.z);
+        if (moved.length() < horizontal.length() * 0.5) {
+            SubWeapons.letGo(engine, entity);
+        }
+    }
+
+    // Let go of the anchor and drop wherever the pull ended
+    static letGo(engine, entity) {
+        engine.player.velocity.set(0, 0, 0);
+        engine.player.onGround = false;
+        ECS.destroyEntity(engine, entity);
+    }
+
+    // Stretch the chain from the player's hand to the tip
+    static placeChain(engine, entity) {
+        const hookshot = entity.hookshot;
+        const { chain, tip } = entity.renderable.parts;
+
+        const hand = SubWeapons.handPosition(engine);
+        const end = hookshot.anchor || hand.clone().addScaledVector(hookshot.direction, hookshot.length);
+        const span = end.clone().sub(hand);
+        const length = span.length();
+
+        tip.position.copy(end);
+        tip.quaternion.setFromUnitVectors(Projectile.forward, hookshot.direction);
+
+        chain.visible = length > SubWeapons.minChainLength;
+        chain.position.lerpVectors(hand, end, 0.5);
+        chain.scale.y = Math.max(length, SubWeapons.minChainLength);
+        chain.quaternion.setFromUnitVectors(SubWeapons.up, chain.visible ? span.normalize() : hookshot.direction);
+    }
+}
+
+// Height above the player's origin that sub-weapons leave from and return to
+SubWeapons.handHeight = 0.2;
+
+// World up, the axis the boomerang swerves around
+SubWeapons.up = new THREE.Vector3(0, 1, 0);
+
+// Downward acceleration of tossed bombs
+SubWeapons.gravity = 15;
+
+// How far forward and up a bomb is tossed, in units per second
+SubWeapons.bombTossSpeed = 3;
+SubWeapons.bombTossHeight = 3;
+
+// Collision shape of a bomb, for walls
+SubWeapons.bombShape = Collision.circle(0.25, 0.5, -0.25);
+
+// Height above the terrain that a bomb rests at
+SubWeapons.bombRestHeight = 0.25;
+
+// Flashes per second of a bomb with a second of fuse left; shorter fuses flash faster,
+// up to the rate at bombFlashFuse seconds left
+SubWeapons.bombFlashRate = 4;
+SubWeapons.bombFlashFuse = 0.2;
+
+// Seconds before a bomb caught in another's blast goes off too
+SubWeapons.chainDelay = 0.15;
+
+// Seconds the explosion fireball takes to swell and fade
+SubWeapons.explosionDuration = 0.35;
+
+// How fast the boomerang spins, in radians per second
+SubWeapons.boomerangSpin = 20;
+
+// Seconds after which a boomerang that hasn't made it back gives up
+SubWeapons.boomerangMaxFlight = 6;
+
+// Collision shape of the boomerang, for walls and enemies
+SubWeapons.boomerangShape = Collision.circle(0.35, 0.6, -0.3);
+
+// How close to the hand the boomerang is caught
+SubWeapons.catchDistance = 0.8;
+
+// How close the boomerang has to pass to pick something up
+SubWeapons.fetchDistance = 1.5;
+
+// Interactable types the boomerang brings back (besides loot)
+SubWeapons.fetchTypes = ['item', 'collectible'];
+
+// How far short of the anchor the hookshot stops pulling
+SubWeapons.hookStopDistance = 0.8;
+
+// Shorter chains than this are hidden
+SubWeapons.minChainLength = 0.01;
+
+// Export the SubWeapons class
+window.SubWeapons = SubWeapons;
@@ -0,0 +1,150 @@
+/**
+ * Terrain module for the Zelda-like 3D Game Engine
+ * Contains the ground heightfield and height/normal sampling on it
+ *
+ * Heights are stored per grid vertex and sampled across the same triangles the ground
+ * mesh is drawn with, so anything snapped to heightAt sits exactly on the visible ground.
+ */
+
+class Terrain {
+    // Create the ground for a level and make it the one that's sampled
+    static create(engine, settings) {
+        const size = settings.size || 100;
+        const segments = settings.segments || 40;
+        const cellSize = size / segments;
+
+        // Heights of the grid vertices, row by row from -z to +z
+        const heights = new Float32Array((segments + 1) * (segments + 1));
+        for (let iz = 0; iz <= segments; iz++) {
+            for (let ix = 0; ix <= segments; ix++) {
+                const x = ix * cellSize - size / 2;
+                const z = iz * cellSize - size / 2;
+                heights[ix + iz * (segments + 1)] = Terrain.hillHeight(settings.hills, x, z);
+            }
+        }
+
+        const groundGeometry = new THREE.PlaneGeometry(size, size, segments, segments); // More segments for detail
+
+        // The plane is rotated flat, so its local Z is the world height.
+        // Vertices are laid out in the same order as heights
+        const positions = groundGeometry.attributes.position;
+        for (let i = 0; i < positions.count; i++) {
+            positions.setZ(i, heights[i]);
+        }
+
+        // Update normals for proper lighting
+        groundGeometry.computeVertexNormals();
+
+        const groundMaterial = new THREE.MeshStandardMaterial({
+            color: new THREE.Color(settings.color || '#567d46'),
+            roughness: 0.8,
+            metalness: 0.2
+        });
+        const ground = new THREE.Mesh(groundGeometry, groundMaterial);
+        ground.rotation.x = -Math.PI / 2;
+        ground.position.y = Terrain.baseHeight;
+        ground.receiveShadow = true;
+        engine.levelRoot.add(ground);
+
+        // Add grid for better orientation
+        if (settings.grid) {
+            const gridHelper = new THREE.GridHelper(size, 20, 0x000000, 0x333333);
+            gridHelper.position.y = 0.5; // Raised grid to match player's ground level
+            gridHelper.material.opacity = 0.15;
+            gridHelper.material.transparent = true;
+            engine.levelRoot.add(gridHelper);
+        }
+
+        engine.terrain = { size, segments, cellSize, heights, mesh: ground };
+        return ground;
+    }
+
+    // Height of the hills above the base height at a point
+    static hillHeight(hills, x, z) {
+        if (!hills) return 0;
+
+        // Keep the center area flat for gameplay, ramping the hills in so there's no seam
+        const distFromCenter = Math.sqrt(x * x + z * z);
+        const ramp = Math.min(Math.max((distFromCenter - hills.flatRadius) / (hills.blend || 5), 0), 1);
+
+        return Math.sin(x * hills.frequency) * Math.cos(z * hills.frequency) * hills.amplitude * ramp;
+    }
+
+    // World height of the ground surface at (x, z)
+    static heightAt(engine, x, z) {
+        return Terrain.sample(engine, x, z).height;
+    }
+
+    // Upward unit normal of the ground surface at (x, z)
+    static normalAt(engine, x, z) {
+        const { slopeX, slopeZ } = Terrain.sample(engine, x, z);
+        return new THREE.Vector3(-slopeX, 1, -slopeZ).normalize();
+    }
+
+    // Height and slope (height change per unit along x and z) of the ground at (x, z)
+    // Points outside the terrain take the height of its nearest edge
+    static sample(engine, x, z) {
+        const terrain = engine.terrain;
+        if (!terrain) {
+            return { height: Terrain.baseHeight, slopeX: 0, slopeZ: 0 };
+        }
+
+        const { segments, cellSize, heights } = terrain;
+        const u = Math.min(Math.max((x + terrain.size / 2) / cellSize, 0), segments);
+        const v = Math.min(Math.max((z + terrain.size / 2) / cellSize, 0), segments);
+        const ix = Math.min(Math.floor(u), segments - 1);
+        const iz = Math.min(Math.floor(v), segments - 1);
+        const fu = u - ix;
+        const fv = v - iz;
+
+        // Cell corners, split along the same diagonal as the mesh's triangles
+        const row = segments + 1;
+        const h00 = heights[ix + iz * row];
+        const h10 = heights[ix + 1 + iz * row];
+        const h01 = heights[ix + (iz + 1) * row];
+        const h11 = heights[ix + 1 + (iz + 1) * row];
+
+        let height;
+        let slopeU;
+        let slopeV;
+        if (fu + fv <= 1) {
+            slopeU = h10 - h00;
+            slopeV = h01 - h00;
+            height = h00 + slopeU * fu + slopeV * fv;
+        } else {
+            slopeU = h11 - h01;
+            slopeV = h11 - h10;
+            height = h11 - slopeU * (1 - fu) - slopeV * (1 - fv);
+        }
+
+        return {
+            height: Terrain.baseHeight + height,
+            slopeX: slopeU / cellSize,
+            slopeZ: slopeV / cellSize
+        };
+    }
+
+    // Remove the uphill part of a move onto ground steeper than maxSlope,
+    // so walkers slide along steep slopes instead of climbing them
+    static limitSlope(engine, position, displacement) {
+        const normal = Terrain.normalAt(engine, position.x + displacement.x, position.z + displacement.z);
+        if (normal.y >= Math.cos(Terrain.maxSlope)) return displacement;
+
+        const downhill = new THREE.Vector3(normal.x, 0, normal.z).normalize();
+        const uphill = -displacement.dot(downhill);
+        if (uphill > 0) {
+            displacement.addScaledVector(downhill, uphill);
+        }
+
+        return displacement;
+    }
+}
+
+// World height of flat ground (lowered to avoid collision with the player)
+Terrain.baseHeight = -0.3;
+
+// Steepest slope that can be walked up, in radians
+Terrain.maxSlope = THREE.MathUtils.degToRad(40);
+
+// Export the Terrain class
+window.Terrain = Terrain;
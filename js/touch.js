@@ -0,0 +1,198 @@
+/**
+ * Touch module for the Zelda-like 3D Game Engine
+ * Contains on-screen controls for phones and tablets
+ *
+ * A virtual joystick in the bottom left moves the player, dragging on the right half of
+ * the screen orbits the camera, pinching zooms, and buttons in the bottom right press the
+ * 'touch:attack', 'touch:jump', 'touch:interact', 'touch:target', 'touch:item1',
+ * 'touch:item2', 'touch:shield' and 'touch:inventory' inputs of the action map.
+ */
+
+class TouchControls {
+    // Setup touch state and, on touch screens, the on-screen controls
+    static setup(engine) {
+        engine.touch = {
+            joystickId: null, // Identifier of the touch steering the joystick
+            joystickCenter: null,
+            orbitTouches: new Map(), // Identifier -> last { x, y } of touches orbiting the camera
+            pinchDistance: null // Distance between two orbit touches during a pinch
+        };
+
+        if (!TouchControls.isSupported()) return;
+
+        engine.container.classList.add('touch-enabled');
+        TouchControls.createControls(engine);
+
+        const options = { passive: false };
+        engine.container.addEventListener('touchstart', e => TouchControls.onTouchStart(engine, e), options);
+        engine.container.addEventListener('touchmove', e => TouchControls.onTouchMove(engine, e), options);
+        engine.container.addEventListener('touchend', e => TouchControls.onTouchEnd(engine, e), options);
+        engine.container.addEventListener('touchcancel', e => TouchControls.onTouchEnd(engine, e), options);
+    }
+
+    static isSupported() {
+        return 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+    }
+
+    // Create the joystick and buttons
+    static createControls(engine) {
+        const controls = document.createElement('div');
+        controls.id = 'touch-controls';
+
+        const joystick = document.createElement('div');
+        joystick.className = 'touch-joystick';
+        const knob = document.createElement('div');
+        knob.className = 'touch-knob';
+        joystick.appendChild(knob);
+        controls.appendChild(joystick);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'touch-buttons';
+        TouchControls.buttons.forEach(({ input, label }) => {
+            const button = document.createElement('div');
+            button.className = 'touch-button';
+            button.dataset.input = input;
+            button.textContent = label;
+            buttons.appendChild(button);
+        });
+        controls.appendChild(buttons);
+
+        engine.container.appendChild(controls);
+        engine.touchJoystick = joystick;
+        engine.touchKnob = knob;
+    }
+
+    static onTouchStart(engine, e) {
+        // Let taps reach menu and dialogue choice buttons
+        if (e.target.closest('.menu-overlay, .dialogue-choices')) return;
+
+        // Stop the browser from scrolling, zooming and sending emulated mouse clicks
+        e.preventDefault();
+
+        Array.from(e.changedTouches).forEach(touch => {
+            const button = touch.target.closest ? touch.target.closest('.touch-button') : null;
+
+            if (button) {
+                button.classList.add('active');
+                Input.press(engine, button.dataset.input);
+            } else if (touch.target.closest && touch.target.closest('.touch-joystick')) {
+                const rect = engine.touchJoystick.getBoundingClientRect();
+                engine.touch.joystickId = touch.identifier;
+                engine.touch.joystickCenter = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+                TouchControls.moveJoystick(engine, touch);
+            } else if (touch.clientX > window.innerWidth / 2) {
+                engine.touch.orbitTouches.set(touch.identifier, { x: touch.clientX, y: touch.clientY });
+                engine.touch.pinchDistance = TouchControls.pinchDistance(engine);
+            }
+        });
+    }
+
+    static onTouchMove(engine, e) {
+        if (e.target.closest('.menu-overlay')) return;
+        e.preventDefault();
+
+        Array.from(e.changedTouches).forEach(touch => {
+            if (touch.identifier === engine.touch.joystickId) {
+                TouchControls.moveJoystick(engine, touch);
+                return;
+            }
+
+            const last = engine.touch.orbitTouches.get(touch.identifier);
+            if (!last) return;
+
+            // One finger orbits the camera like dragging with the right mouse button
+            if (engine.touch.orbitTouches.size === 1 && !engine.targetLocked && !engine.menuOpen) {
+                const controls = engine.mouseControls;
+                const sensitivity = controls.sensitivity * TouchControls.orbitSensitivity;
+                controls.cameraRotation.y -= (touch.clientX - last.x) * sensitivity;
+                controls.cameraRotation.x -= (touch.clientY - last.y) * sensitivity;
+
+                // Limit vertical rotation to prevent camera flipping
+                controls.cameraRotation.x = Math.max(
+                    controls.minPolarAngle,
+                    Math.min(controls.maxPolarAngle, controls.cameraRotation.x)
+                );
+            }
+
+            last.x = touch.clientX;
+            last.y = touch.clientY;
+        });
+
+        // Two fingers pinch to zoom like the mouse wheel
+        const distance = TouchControls.pinchDistance(engine);
+        if (distance !== null && engine.touch.pinchDistance !== null && !engine.targetLocked) {
+            const controls = engine.mouseControls;
+            controls.orbitDistance += (engine.touch.pinchDistance - distance) * TouchControls.pinchSensitivity;
+
+            // Limit zoom range
+            controls.orbitDistance = Math.max(2, Math.min(10, controls.orbitDistance));
+        }
+        engine.touch.pinchDistance = distance;
+    }
+
+    static onTouchEnd(engine, e) {
+        Array.from(e.changedTouches).forEach(touch => {
+            const button = touch.target.closest ? touch.target.closest('.touch-button') : null;
+
+            if (button) {
+                button.classList.remove('active');
+                Input.release(engine, button.dataset.input);
+            } else if (touch.identifier === engine.touch.joystickId) {
+                engine.touch.joystickId = null;
+                engine.touchKnob.style.transform = '';
+                Input.setMoveAxis(engine, 'touch', 0, 0);
+            } else if (engine.touch.orbitTouches.delete(touch.identifier)) {
+                engine.touch.pinchDistance = TouchControls.pinchDistance(engine);
+            }
+        });
+    }
+
+    // Point the joystick towards a touch, clamped to its radius
+    static moveJoystick(engine, touch) {
+        const center = engine.touch.joystickCenter;
+        let dx = touch.clientX - center.x;
+        let dy = touch.clientY - center.y;
+
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const radius = TouchControls.joystickRadius;
+        if (distance > radius) {
+            dx *= radius / distance;
+            dy *= radius / distance;
+        }
+
+        engine.touchKnob.style.transform = `translate(${dx}px, ${dy}px)`;
+        Input.setMoveAxis(engine, 'touch', dx / radius, dy / radius);
+    }
+
+    // Distance between the two orbit touches, or null unless exactly two fingers are down
+    static pinchDistance(engine) {
+        if (engine.touch.orbitTouches.size !== 2) return null;
+
+        const [a, b] = Array.from(engine.touch.orbitTouches.values());
+        return Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
+    }
+}
+
+// On-screen buttons and the action map inputs they press
+TouchControls.buttons = [
+    { input: 'touch:attack', label: 'Attack' },
+    { input: 'touch:jump', label: 'Jump' },
+    { input: 'touch:interact', label: 'Use' },
+    { input: 'touch:target', label: 'Target' },
+    { input: 'touch:item1', label: 'Item 1' },
+    { input: 'touch:item2', label: 'Item 2' },
+    { input: 'touch:shield', label: 'Shield' },
+    { input: 'touch:inventory', label: 'Items' }
+];
+
+// How far the joystick knob travels, in pixels (matches the .touch-joystick CSS)
+TouchControls.joystickRadius = 50;
+
+// Camera orbit speed relative to mouse dragging
+TouchControls.orbitSensitivity = 1.5;
+
+// Zoom per pixel of pinch
+TouchControls.pinchSensitivity = 0.02;
+
+// Export the TouchControls class
+window.TouchControls = TouchControls;
@@ -0,0 +1,142 @@
+/**
+ * Tween module for the Zelda-like 3D Game Engine
+ * Contains the engine-owned tween and timer scheduler used by animations and effects
+ *
+ * Tweens advance with the simulation's deltaTime, so they stop while the game is paused
+ * and stay in sync with the fixed-step loop.
+ */
+
+class Tween {
+    // Setup the tween list
+    static setup(engine) {
+        engine.tweens = [];
+    }
+
+    // Start a tween and return its handle
+    // options:
+    //   duration   - seconds (0 for a plain timer)
+    //   delay      - seconds to wait before starting
+    //   ease       - 'linear', 'easeOutQuad', 'easeInOutQuad' or a function of t
+    //   owner      - Object3D; the tween is cancelled once the owner leaves the scene
+    //   onUpdate   - called every step with (easedProgress, deltaTime, elapsed)
+    //   onComplete - called once after the last update
+    static start(engine, options) {
+        const tween = {
+            duration: options.duration || 0,
+            delay: options.delay || 0,
+            ease: Tween.resolveEase(engine, options.ease),
+            owner: options.owner || null,
+            onUpdate: options.onUpdate || null,
+            onComplete: options.onComplete || null,
+            elapsed: 0,
+            paused: false,
+            waiting: false, // Chained tweens wait for the previous one to complete
+            finished: false,
+            cancelled: false,
+            chained: []
+        };
+
+        // Public handle
+        tween.cancel = () => Tween.cancel(tween);
+        tween.pause = () => { tween.paused = true; return tween; };
+        tween.resume = () => { tween.paused = false; return tween; };
+        tween.then = (next) => Tween.chain(engine, tween, next);
+
+        engine.tweens.push(tween);
+        return tween;
+    }
+
+    // Call a function after a delay (in simulated seconds)
+    static delay(engine, seconds, callback, owner) {
+        return Tween.start(engine, { delay: seconds, owner, onComplete: callback });
+    }
+
+    // Start another tween when this one completes and return its handle
+    // next is either tween options or a plain callback
+    static chain(engine, tween, next) {
+        const options = typeof next === 'function' ? { onComplete: next } : next;
+
+        // Chained tweens are created up front so they can be cancelled before they start
+        const chained = Tween.start(engine, Object.assign({}, options, { owner: options.owner || tween.owner }));
+        chained.waiting = true;
+        tween.chained.push(chained);
+
+        if (tween.finished) {
+            Tween.release(chained);
+        }
+
+        return chained;
+    }
+
+    // Cancel a tween and everything chained after it
+    static cancel(tween) {
+        tween.cancelled = true;
+        tween.chained.forEach(chained => Tween.cancel(chained));
+    }
+
+    // Let a chained tween start running
+    static release(tween) {
+        tween.waiting = false;
+    }
+
+    // Advance all tweens by deltaTime
+    static update(engine, deltaTime) {
+        // Iterate over a copy - callbacks may start new tweens
+        const tweens = engine.tweens.slice();
+
+        tweens.forEach(tween => {
+            if (tween.cancelled || tween.paused || tween.waiting) return;
+
+            if (tween.owner && !Tween.isInScene(engine, tween.owner)) {
+                Tween.cancel(tween);
+                return;
+            }
+
+            // Wait out the delay first; the remainder of the step goes to the tween
+            let step = deltaTime;
+            if (tween.delay > 0) {
+                tween.delay -= step;
+                if (tween.delay > 0) return;
+                step = -tween.delay;
+                tween.delay = 0;
+            }
+
+            tween.elapsed += step;
+            const progress = tween.duration > 0 ? Math.min(tween.elapsed / tween.duration, 1) : 1;
+
+            if (tween.onUpdate) {
+                tween.onUpdate(tween.ease(progress), step, tween.elapsed);
+            }
+
+            if (progress >= 1 && !tween.cancelled) {
+                tween.finished = true;
+                if (tween.onComplete) tween.onComplete();
+                tween.chained.forEach(chained => Tween.release(chained));
+            }
+        });
+
+        engine.tweens = engine.tweens.filter(tween => !tween.finished && !tween.cancelled);
+    }
+
+    // Map an easing name onto the engine's easing helpers
+    static resolveEase(engine, ease) {
+        if (typeof ease === 'function') return ease;
+
+        switch (ease) {
+            case 'easeOutQuad': return t => engine.easeOutQuad(t);
+            case 'easeInOutQuad': return t => engine.easeInOutQuad(t);
+            default: return t => t;
+        }
+    }
+
+    // Check whether an object is still attached to the scene
+    static isInScene(engine, object) {
+        for (let current = object; current; current = current.parent) {
+            if (current === engine.scene) return true;
+        }
+        return false;
+    }
+}
+
+// Export the Tween class
+window.Tween = Tween;
@@ -4,43 +4,383 @@
  */
 
 class UI {
-    // Create health UI
+    // Create health UI - a heart per heart of max health
     static createHealth(engine) {
         const healthContainer = document.getElementById('health-container');
         healthContainer.innerHTML = '';
 
-        for (let i = 0; i < engine.maxHealth; i++) {
+        for (let i = 0; i < Math.ceil(engine.maxHealth / Player.healthPerHeart); i++) {
             const heart = document.createElement('div');
-            heart.className = i < engine.playerHealth ? 'heart' : 'heart empty';
+            heart.className = 'heart';
             healthContainer.appendChild(heart);
         }
+
+        UI.updateHealth(engine);
     }
 
-    // Update health UI
+    // Update health UI - each heart fills in quarters
     static updateHealth(engine) {
-        const hearts = document.querySelectorAll('.heart');
+        const hearts = document.querySelectorAll('#health-container .heart');
         hearts.forEach((heart, index) => {
-            if (index < engine.playerHealth) {
-                heart.classList.remove('empty');
+            const quarters = THREE.MathUtils.clamp(engine.playerHealth - index * Player.healthPerHeart, 0, Player.healthPerHeart);
+            heart.style.setProperty('--fill', `${quarters / Player.healthPerHeart * 100}%`);
+        });
+    }
+
+    // Show a menu of save slots; onSelect(slot) is called with the chosen slot number
+    static showSlotMenu(engine, title, slots, onSelect) {
+        if (engine.menuOpen) return;
+        engine.menuOpen = true;
+
+        const menu = document.createElement('div');
+        menu.className = 'menu-overlay';
+
+        const heading = document.createElement('h2');
+        heading.textContent = title;
+        menu.appendChild(heading);
+
+        const close = () => {
+            document.removeEventListener('keydown', onKeyDown);
+            menu.remove();
+            engine.menuOpen = false;
+        };
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        document.addEventListener('keydown', onKeyDown);
+
+        if (slots.length === 0) {
+            const message = document.createElement('p');
+            message.textContent = 'No saved games';
+            menu.appendChild(message);
+        }
+
+        slots.forEach(({ slot, label }) => {
+            const button = document.createElement('button');
+            button.textContent = `Slot ${slot}: ${label}`;
+            button.addEventListener('click', () => {
+                close();
+                onSelect(slot);
+            });
+            menu.appendChild(button);
+        });
+
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', close);
+        menu.appendChild(cancelButton);
+
+        engine.container.appendChild(menu);
+    }
+
+    // Show the controls menu: click a binding to remove it, + to bind the next key, click or pad button
+    static showControlsMenu(engine) {
+        if (engine.menuOpen) return;
+        engine.menuOpen = true;
+
+        const menu = document.createElement('div');
+        menu.className = 'menu-overlay controls-menu';
+
+        const heading = document.createElement('h2');
+        heading.textContent = 'Controls';
+        menu.appendChild(heading);
+
+        const list = document.createElement('div');
+        menu.appendChild(list);
+
+        const close = () => {
+            Input.cancelCapture(engine);
+            document.removeEventListener('keydown', onKeyDown);
+            menu.remove();
+            engine.menuOpen = false;
+        };
+
+        // Escape cancels a pending rebind first, then closes the menu
+        const onKeyDown = (e) => {
+            if (e.key !== 'Escape') return;
+            if (engine.input.capture) {
+                Input.cancelCapture(engine);
+                render();
             } else {
-                heart.classList.add('empty');
+                close();
             }
+        };
+        document.addEventListener('keydown', onKeyDown);
+
+        const render = () => {
+            list.innerHTML = '';
+
+            Input.actions.forEach(({ name, label }) => {
+                const row = document.createElement('div');
+                row.className = 'binding-row';
+
+                const actionLabel = document.createElement('span');
+                actionLabel.textContent = label;
+                row.appendChild(actionLabel);
+
+                engine.input.bindings[name].forEach(input => {
+                    const binding = document.createElement('button');
+                    binding.textContent = Input.label(input);
+                    binding.title = 'Remove';
+                    binding.addEventListener('click', () => {
+                        Input.unbind(engine, name, input);
+                        render();
+                    });
+                    row.appendChild(binding);
+                });
+
+                const add = document.createElement('button');
+                add.textContent = '+';
+                add.title = 'Add a binding';
+                add.addEventListener('click', () => {
+                    add.textContent = 'Press a key...';
+                    Input.captureNext(engine, input => {
+                        Input.bind(engine, name, input);
+                        render();
+                    });
+                });
+                row.appendChild(add);
+
+                list.appendChild(row);
+            });
+        };
+        render();
+
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset to Defaults';
+        resetButton.addEventListener('click', () => {
+            Input.resetBindings(engine);
+            render();
+        });
+        menu.appendChild(resetButton);
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', close);
+        menu.appendChild(closeButton);
+
+        engine.container.appendChild(menu);
+    }
+
+    // Show the inventory: equip swords and shields, put items on the item buttons
+    static showInventoryMenu(engine) {
+        if (engine.menuOpen) return;
+        engine.menuOpen = true;
+
+        const menu = document.createElement('div');
+        menu.className = 'menu-overlay inventory-menu';
+
+        const heading = document.createElement('h2');
+        heading.textContent = 'Inventory';
+        menu.appendChild(heading);
+
+        const list = document.createElement('div');
+        menu.appendChild(list);
+
+        const close = () => {
+            document.removeEventListener('keydown', onKeyDown);
+            menu.remove();
+            engine.menuOpen = false;
+        };
+
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+        document.addEventListener('keydown', onKeyDown);
+
+        const render = () => {
+            list.innerHTML = '';
+
+            UI.inventorySections.forEach(({ title, slot }) => {
+                const names = Object.keys(engine.inventory.items)
+                    .filter(name => Items.get(name) && Items.get(name).slot === slot);
+                if (names.length === 0) return;
+
+                const sectionHeading = document.createElement('h3');
+                sectionHeading.textContent = title;
+                list.appendChild(sectionHeading);
+
+                names.forEach(name => {
+                    const item = Items.get(name);
+                    const row = document.createElement('div');
+                    row.className = 'binding-row';
+
+                    const itemLabel = document.createElement('span');
+                    itemLabel.textContent = item.max > 1 ? `${item.label} x${Inventory.count(engine, name)}` : item.label;
+                    const description = document.createElement('small');
+                    description.className = 'item-description';
+                    description.textContent = item.description;
+                    itemLabel.appendChild(description);
+                    row.appendChild(itemLabel);
+
+                    // Swords and shields are equipped, button items go on an item button
+                    if (Inventory.equipSlots.includes(slot)) {
+                        const equipped = engine.inventory.equipped[slot] === name;
+                        const equip = document.createElement('button');
+                        equip.textContent = equipped ? 'Equipped' : 'Equip';
+                        equip.classList.toggle('selected', equipped);
+                        equip.addEventListener('click', () => {
+                            Inventory.equip(engine, name);
+                            render();
+                        });
+                        row.appendChild(equip);
+                    } else if (slot === 'button') {
+                        Inventory.buttonActions.forEach((action, button) => {
+                            const assigned = engine.inventory.buttons[button] === name;
+                            const assign = document.createElement('button');
+                            assign.textContent = UI.itemButtonLabel(engine, button);
+                            assign.title = assigned ? 'Take off this button' : 'Put on this button';
+                            assign.classList.toggle('selected', assigned);
+                            assign.addEventListener('click', () => {
+                                Inventory.assign(engine, button, assigned ? null : name);
+                                render();
+                            });
+                            row.appendChild(assign);
+                        });
+                    }
+
+                    list.appendChild(row);
+                });
+            });
+        };
+        render();
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'Close';
+        closeButton.addEventListener('click', close);
+        menu.appendChild(closeButton);
+
+        engine.container.appendChild(menu);
+    }
+
+    // Refresh the parts of the HUD that show what the player carries
+    static updateInventoryHud(engine) {
+        UI.updateItemButtons(engine);
+        UI.updateWallet(engine);
+    }
+
+    // Show how many rupees the player has
+    static updateWallet(engine) {
+        const count = Inventory.count(engine, 'rupees');
+        const wallet = document.getElementById('wallet-count');
+        wallet.textContent = count;
+        wallet.classList.toggle('full', count >= Items.get('rupees').max);
+    }
+
+    // Show what's on the item buttons, with ammunition and stack counts
+    static updateItemButtons(engine) {
+        const container = document.getElementById('item-buttons');
+        container.innerHTML = '';
+
+        engine.inventory.buttons.forEach((name, button) => {
+            const item = Items.get(name);
+            const slot = document.createElement('div');
+            slot.className = item ? 'item-button' : 'item-button empty';
+
+            const key = document.createElement('span');
+            key.className = 'item-button-key';
+            key.textContent = UI.itemButtonLabel(engine, button);
+            slot.appendChild(key);
+
+            let text = item ? item.label : 'Empty';
+            const counted = item && (item.ammo || (item.max > 1 ? item.name : null));
+            if (counted) text += ` x${Inventory.count(engine, counted)}`;
+            slot.appendChild(document.createTextNode(text));
+
+            container.appendChild(slot);
+        });
+    }
+
+    // Name of an item button with the first input bound to it, e.g. 'Item 1 (Q)'
+    static itemButtonLabel(engine, button) {
+        const input = engine.input.bindings[Inventory.buttonActions[button]][0];
+        return input ? `Item ${button + 1} (${Input.label(input)})` : `Item ${button + 1}`;
+    }
+
+    // Show the game over screen; onChoice('continue' | 'retry') is called with the player's choice
+    static showGameOver(engine, onChoice) {
+        engine.menuOpen = true;
+
+        const menu = document.createElement('div');
+        menu.className = 'menu-overlay game-over';
+
+        const heading = document.createElement('h2');
+        heading.textContent = 'Game Over';
+        menu.appendChild(heading);
+
+        [['continue', 'Continue'], ['retry', 'Retry']].forEach(([choice, label]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                menu.remove();
+                engine.menuOpen = false;
+                onChoice(choice);
+            });
+            menu.appendChild(button);
+        });
+
+        engine.container.appendChild(menu);
+    }
+
+    // Label each enemy with its AI state while debug mode is on
+    static updateDebugOverlay(engine) {
+        const overlay = engine.debugOverlay;
+        const enemies = engine.debugMode ? engine.enemies : [];
+
+        // One label per enemy, reusing the elements from the last frame
+        while (overlay.children.length < enemies.length) {
+            const label = document.createElement('div');
+            label.className = 'debug-label';
+            overlay.appendChild(label);
+        }
+        while (overlay.children.length > enemies.length) {
+            overlay.lastChild.remove();
+        }
+
+        const widthHalf = engine.width / 2;
+        const heightHalf = engine.height / 2;
+        const vector = new THREE.Vector3();
+
+        enemies.forEach((enemy, index) => {
+            const label = overlay.children[index];
+
+            // Just above the enemy's head
+            vector.copy(enemy.position);
+            vector.y += 1;
+            vector.project(engine.camera);
+
+            label.textContent = `${enemy.ai.type}: ${enemy.ai.state}`;
+            label.style.left = `${(vector.x * widthHalf) + widthHalf}px`;
+            label.style.top = `${-(vector.y * heightHalf) + heightHalf}px`;
+
+            // Hide labels of enemies behind the camera
+            label.style.display = vector.z > 1 ? 'none' : 'block';
         });
     }
 
     // Check for interaction with objects
     static checkInteraction(engine) {
-        if (!engine.keys.interact) return;
+        if (engine.transitioning || engine.playerState !== 'alive') return;
 
         const playerBox = new THREE.Box3().setFromObject(engine.player);
 
-        engine.interactables.forEach(interactable => {
-            if (playerBox.intersectsBox(interactable.box)) {
+        ECS.query(engine, 'interactable').forEach(({ interactable }) => {
+            // Exits trigger by walking into them, not by pressing interact
+            if (interactable.type !== 'exit' && playerBox.intersectsBox(interactable.box)) {
                 interactable.action();
             }
         });
     }
 }
 
+// Groups of items on the inventory screen, by slot
+UI.inventorySections = [
+    { title: 'Swords', slot: 'sword' },
+    { title: 'Shields', slot: 'shield' },
+    { title: 'Items', slot: 'button' },
+    { title: 'Supplies', slot: null }
+];
+
 // Export the UI class
 window.UI = UI;
\ No newline at end of file
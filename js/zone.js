@@ -0,0 +1,90 @@
+/**
+ * Zone module for the Zelda-like 3D Game Engine
+ * Contains transitions between levels (e.g. entering and leaving houses)
+ */
+
+class Zone {
+    // Setup zone transition state
+    static setup(engine) {
+        engine.transitioning = false;
+        engine.fadeOverlay = document.getElementById('screen-fade');
+    }
+
+    // Move the player to another level, fading the screen out and back in
+    // spawn is a spawn point name of the target level or an explicit { position, rotation }
+    // Resolves true once the player is in the new level, or false if it couldn't be loaded,
+    // in which case the player stays where they were
+    // prepare, if given, runs once the new level has been fetched, just before the current one is
+    // torn down, and returns a function that undoes it if the new level then fails to build
+    static enter(engine, levelSource, spawn = 'default', prepare = null) {
+        if (engine.transitioning) return Promise.resolve(false);
+        engine.transitioning = true;
+
+        // Where to put the player back if the new level breaks while it's being built
+        let previous = null;
+        let undo = null;
+
+        return Zone.fade(engine, 1)
+            // Fetch the new level before tearing down the current one, so a failed fetch changes nothing
+            .then(() => Environment.loadLevelData(levelSource))
+            .then(level => {
+                previous = {
+                    level: engine.level,
+                    source: engine.levelSource,
+                    checkpoint: engine.checkpoint,
+                    spawn: { position: engine.player.position.toArray(), rotation: engine.player.rotation.y }
+                };
+
+                undo = prepare ? prepare() : null;
+                Environment.unloadLevel(engine);
+                return Environment.loadLevel(engine, levelSource, spawn, level);
+            })
+            .then(() => true, error => {
+                console.error('Zone transition failed:', error);
+                if (!previous) return false;
+
+                if (undo) undo();
+                Environment.unloadLevel(engine);
+                return Environment.loadLevel(engine, previous.source, previous.spawn, previous.level).then(() => {
+                    engine.checkpoint = previous.checkpoint;
+                    return false;
+                });
+            })
+            .then(entered => {
+                if (previous) Camera.reset(engine);
+                return Zone.fade(engine, 0).then(() => {
+                    engine.transitioning = false;
+                    return entered;
+                });
+            });
+    }
+
+    // Fade the screen overlay to the given opacity, resolving when the fade is done
+    static fade(engine, opacity) {
+        engine.fadeOverlay.style.opacity = opacity;
+
+        return new Promise(resolve => {
+            setTimeout(resolve, Zone.fadeDuration * 1000);
+        });
+    }
+
+    // Trigger exits the player walks into
+    static update(engine) {
+        if (engine.transitioning || !engine.player) return;
+
+        const playerBox = new THREE.Box3().setFromObject(engine.player);
+
+        for (const { interactable } of ECS.query(engine, 'interactable')) {
+            if (interactable.type === 'exit' && playerBox.intersectsBox(interactable.box)) {
+                interactable.action();
+                break;
+            }
+        }
+    }
+}
+
+// Seconds for the screen to fade in or out (matches the #screen-fade CSS transition)
+Zone.fadeDuration = 0.4;
+
+// Export the Zone class
+window.Zone = Zone;